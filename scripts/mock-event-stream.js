@@ -0,0 +1,59 @@
+// Local stand-in for the production event stream.
+//   npm run stream:mock
+// Serves the same random events over Server-Sent Events (http://localhost:8787/events)
+// and WebSocket (ws://localhost:8787). PORT and RATE (events per second) are configurable.
+import http from 'node:http';
+import { WebSocketServer } from 'ws';
+
+const port = Number(process.env.PORT) || 8787;
+const rate = Number(process.env.RATE) || 2;
+
+const activityTypes = ['Login', 'File Upload', 'Data Export', 'API', 'Database Query', 'Email Send', 'User Registration', 'System Backup'];
+const statuses = ['success', 'success', 'success', 'success', 'warning', 'fail'];
+const pick = (list) => list[Math.floor(Math.random() * list.length)];
+
+const createEvent = () => {
+  const timestamp = new Date().toISOString();
+  return {
+    activityType: pick(activityTypes),
+    status: pick(statuses),
+    user: `user_${100 + Math.floor(Math.random() * 60)}`,
+    device: `device_${pick(['A', 'B', 'C', 'D'])}${Math.floor(Math.random() * 5) || ''}`,
+    date: timestamp.slice(0, 10),
+    timestamp
+  };
+};
+
+const sseClients = new Set();
+
+const server = http.createServer((req, res) => {
+  if (req.url !== '/events') {
+    res.writeHead(404, { 'Access-Control-Allow-Origin': '*' });
+    res.end('Stream is served at /events');
+    return;
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'Access-Control-Allow-Origin': '*'
+  });
+  res.write('retry: 2000\n\n');
+  sseClients.add(res);
+  req.on('close', () => sseClients.delete(res));
+});
+
+const wss = new WebSocketServer({ server });
+
+setInterval(() => {
+  const message = JSON.stringify(createEvent());
+  sseClients.forEach(res => res.write(`data: ${message}\n\n`));
+  wss.clients.forEach(socket => {
+    if (socket.readyState === socket.OPEN) socket.send(message);
+  });
+}, 1000 / rate);
+
+server.listen(port, () => {
+  console.log(`Mock event stream: http://localhost:${port}/events (SSE), ws://localhost:${port} (WebSocket), ${rate} events/s`);
+});
@@ -1,13 +1,49 @@
 import React, { useState, useMemo, useCallback, memo, useRef, useEffect } from 'react';
-import { scaleOrdinal, scaleBand, scaleLinear } from '@visx/scale';
+import { scaleOrdinal, scaleBand, scaleLinear, scaleLog } from '@visx/scale';
 import { withTooltip, Tooltip, defaultStyles } from '@visx/tooltip';
 import { localPoint } from '@visx/event';
-import { format, parseISO, startOfWeek, endOfWeek, eachWeekOfInterval, subDays, startOfDay, endOfDay } from 'date-fns';
-import { Filter, Calendar, Users, Activity, Eye, X, Download, Search, RotateCcw, Maximize2, BarChart3, TrendingUp, TrendingDown, RefreshCw, AlertTriangle, FileText, Share2, Settings, Bell, Zap } from 'lucide-react';
+import { format, parseISO, isValid, subDays, startOfDay, endOfDay, eachDayOfInterval, differenceInCalendarWeeks, getDay } from 'date-fns';
+import { Filter, Calendar, Users, Activity, Eye, X, Download, Search, RotateCcw, Maximize2, BarChart3, TrendingUp, TrendingDown, RefreshCw, AlertTriangle, FileText, Share2, Settings, Bell, Zap, Database, Upload, ShieldCheck, Pause, Play, Globe, ArrowUp, ArrowDown, ArrowUpDown, Clock, Bookmark, BookmarkPlus, Pencil, Trash2, Check, Monitor, ChartLine, Grid3x3 } from 'lucide-react';
 import './App.css';
 
-// Import dummy data
-import dummyData from './data.json';
+import { dataSourceTypes, createDataSource, loadDataSourceConfig, saveDataSourceConfig } from './dataSources';
+import { importFormats, parseEventFile } from './eventImport';
+import { issueTypes, createEventValidator } from './eventSchema';
+import { connectEventStream, streamTransport, streamUrlError } from './eventStream';
+import {
+  movingWindow,
+  periodLabel,
+  cellStatusRules,
+  defaultFailureThresholds,
+  ruleStatus,
+  intensityNormalizations,
+  quantileBinCounts,
+  normalizeHeatmapIntensity,
+  heatmapRowSorts,
+  arrangeHeatmapRows,
+  heatmapDimensions,
+  heatmapTopNOptions,
+  periodDayRange,
+  punchcardWeekdays
+} from './aggregation';
+import { createAggregationEngine } from './aggregationEngine';
+import { parseUrlState, serializeUrlState } from './urlState';
+import { compileQuery, getQuerySuggestions } from './eventQuery';
+import { anomalyMethods, anomalySensitivities } from './anomalies';
+import { forecastMethods, forecastHorizons } from './forecast';
+import { UNCATEGORIZED, categoryOf, loadActivityCategories, storeActivityCategories } from './activityCategories';
+import { colorScaleTypes, colorScalePresets, defaultColorScale, intensityColorScale, colorScaleGradient } from './colorScales';
+import { compareModes, resolveComparison, inComparisonRange, shiftComparisonEvent, comparisonLabel, percentChange } from './comparison';
+import {
+  createSavedView,
+  loadSavedViews,
+  storeSavedViews,
+  sanitizeViewState,
+  serializeSavedViews,
+  parseSavedViews,
+  mergeSavedViews
+} from './savedViews';
+import { LOCAL_TIMEZONE, commonTimeZones, allTimeZones, isValidTimeZone, timeZoneLabel, loadTimeZone, saveTimeZone, formatInZone, todayInZone, eventDay } from './timezone';
 
 // Optimized debounce utility for performance
 const useDebounce = (callback, delay) => {
@@ -47,6 +83,364 @@ const useThrottle = (callback, delay) => {
   }, [callback, delay]);
 };
 
+// Load events from the configured data source, re-running whenever the config changes
+const useDataSource = (config) => {
+  const [state, setState] = useState({ status: 'loading', data: [], error: null, label: '' });
+  const [reloadKey, setReloadKey] = useState(0);
+  // Live events that arrive while a load is in flight; they are added to whatever it loads
+  const loadingRef = useRef(true);
+  const liveBacklogRef = useRef([]);
+
+  useEffect(() => {
+    const controller = new AbortController();
+    const takeLiveBacklog = () => {
+      const backlog = liveBacklogRef.current;
+      liveBacklogRef.current = [];
+      loadingRef.current = false;
+      return backlog;
+    };
+    let source;
+    try {
+      source = createDataSource(config);
+    } catch (error) {
+      setState({ status: 'error', data: takeLiveBacklog(), error, label: config.type });
+      return undefined;
+    }
+
+    loadingRef.current = true;
+    setState(prev => ({ ...prev, status: 'loading', error: null, label: source.label }));
+    source.load(controller.signal)
+      .then(data => {
+        if (controller.signal.aborted) return;
+        setState({ status: 'ready', data: data.concat(takeLiveBacklog()), error: null, label: source.label });
+      })
+      .catch(error => {
+        if (controller.signal.aborted) return;
+        setState({ status: 'error', data: takeLiveBacklog(), error, label: source.label });
+      });
+
+    return () => controller.abort();
+    // Only the fields that select the source trigger a reload (not e.g. the stream URL)
+  }, [config.type, config.url, config.authToken, config.file, config.generatorCount, config.generatorDays, reloadKey]);
+
+  const reload = useCallback(() => setReloadKey(key => key + 1), []);
+
+  // Imported events either replace the loaded dataset or are appended to it until the next reload
+  const importEvents = useCallback((imported, mode, label) => {
+    setState(prev => ({
+      status: 'ready',
+      error: null,
+      data: mode === 'append' ? prev.data.concat(imported) : imported,
+      label: mode === 'append' ? `${prev.label} + ${label}` : label
+    }));
+  }, []);
+
+  // Live events are appended without touching the source label
+  const appendEvents = useCallback((incoming) => {
+    if (loadingRef.current) {
+      liveBacklogRef.current = liveBacklogRef.current.concat(incoming);
+      return;
+    }
+    setState(prev => ({ ...prev, data: prev.data.concat(incoming) }));
+  }, []);
+
+  return { ...state, reload, importEvents, appendEvents };
+};
+
+// How often buffered stream messages are flushed into the dataset, so a busy stream
+// updates the charts once a second instead of once per message
+const STREAM_FLUSH_INTERVAL = 1000;
+
+// Subscribe to a live event stream. While paused, incoming events pile up in a backlog
+// that is delivered in one batch on resume.
+const useEventStream = (url, enabled, onEvents) => {
+  const [status, setStatus] = useState('idle');
+  const [received, setReceived] = useState(0);
+  const [malformed, setMalformed] = useState(0);
+  const [backlog, setBacklog] = useState(0);
+  const [paused, setPaused] = useState(false);
+  const [lastMessageAt, setLastMessageAt] = useState(null);
+  const pausedRef = useRef(false);
+  const pendingRef = useRef([]);
+  const backlogRef = useRef([]);
+  const onEventsRef = useRef(onEvents);
+  onEventsRef.current = onEvents;
+
+  useEffect(() => {
+    if (!enabled || !url) {
+      setStatus('idle');
+      return undefined;
+    }
+
+    const stream = connectEventStream(url, {
+      onEvents: (incoming) => pendingRef.current.push(...incoming),
+      onStatus: setStatus,
+      onMalformed: () => setMalformed(count => count + 1)
+    });
+
+    const flushTimer = setInterval(() => {
+      if (pendingRef.current.length === 0) return;
+      const batch = pendingRef.current;
+      pendingRef.current = [];
+      setReceived(count => count + batch.length);
+      setLastMessageAt(new Date());
+
+      if (pausedRef.current) {
+        backlogRef.current = backlogRef.current.concat(batch);
+        setBacklog(backlogRef.current.length);
+      } else {
+        onEventsRef.current(batch);
+      }
+    }, STREAM_FLUSH_INTERVAL);
+
+    return () => {
+      clearInterval(flushTimer);
+      stream.close();
+      pendingRef.current = [];
+    };
+  }, [url, enabled]);
+
+  const pause = useCallback(() => {
+    pausedRef.current = true;
+    setPaused(true);
+  }, []);
+
+  const resume = useCallback(() => {
+    pausedRef.current = false;
+    setPaused(false);
+    if (backlogRef.current.length > 0) {
+      onEventsRef.current(backlogRef.current);
+      backlogRef.current = [];
+      setBacklog(0);
+    }
+  }, []);
+
+  return {
+    status,
+    transport: url ? streamTransport(url) : null,
+    received,
+    malformed,
+    backlog,
+    paused,
+    lastMessageAt,
+    pause,
+    resume
+  };
+};
+
+// Stale events the aggregation worker may hold (from reloads or earlier comparison ranges)
+// before it is reset and sent the live datasets again
+const MAX_STALE_EVENTS = 50000;
+
+// Page side of the aggregation engine (see aggregationEngine.js), in a Web Worker or
+// in-thread where Workers are unavailable (e.g. server rendering). Each event object is
+// sent once under an id; after that a dataset goes over as the ids of its events.
+// `onChange` gets { versions, events, activityTypes, hasComparison, building, error }
+// whenever a build lands; `events` is the current list the query results refer to.
+const createAggregationClient = (onChange) => {
+  const datasets = { current: { id: 0, data: null }, comparison: { id: 0, data: null } };
+  const pendingQueries = new Map();
+  let state = {
+    versions: { current: 0, comparison: 0 },
+    events: [],
+    activityTypes: [],
+    hasComparison: false,
+    building: { current: false, comparison: false },
+    error: null
+  };
+  let eventIds = new WeakMap();
+  let nextEventId = 0;
+  let nextRequest = 0;
+  let worker = null;
+  let engine = null;
+  let closed = false;
+
+  const update = (changes) => {
+    if (closed) return;
+    state = { ...state, ...changes };
+    onChange(state);
+  };
+
+  const receive = (message) => {
+    if (pendingQueries.has(message.id)) {
+      const resolve = pendingQueries.get(message.id);
+      pendingQueries.delete(message.id);
+      resolve(message);
+      return;
+    }
+    const dataset = datasets[message.key];
+    if (!dataset || dataset.id !== message.id || message.skipped) return;
+    update(message.error
+      ? { building: { ...state.building, [message.key]: false }, error: message.error }
+      : {
+          versions: { ...state.versions, [message.key]: message.id },
+          ...(message.key === 'current'
+            ? { events: dataset.data || [], activityTypes: message.activityTypes }
+            : { hasComparison: Boolean(dataset.data) }),
+          building: { ...state.building, [message.key]: false },
+          error: null
+        });
+  };
+
+  if (typeof Worker === 'undefined') {
+    engine = createAggregationEngine(receive);
+  } else {
+    worker = new Worker(new URL('./aggregation.worker.js', import.meta.url), { type: 'module' });
+    worker.onmessage = ({ data: message }) => receive(message);
+    worker.onerror = (event) => update({ building: { current: false, comparison: false }, error: event.message });
+  }
+  const post = (message, transfer = []) => (worker ? worker.postMessage(message, transfer) : engine.handle(message));
+
+  const send = (key) => {
+    const dataset = datasets[key];
+    dataset.id = ++nextRequest;
+    if (!dataset.data) {
+      post({ type: 'build', id: dataset.id, key, added: [], ids: null, timeZone: dataset.timeZone });
+      return;
+    }
+
+    const ids = new Int32Array(dataset.data.length);
+    const added = [];
+    dataset.data.forEach((event, i) => {
+      let id = eventIds.get(event);
+      if (id === undefined) {
+        id = nextEventId++;
+        eventIds.set(event, id);
+        added.push(event);
+      }
+      ids[i] = id;
+    });
+    post({ type: 'build', id: dataset.id, key, added, ids, timeZone: dataset.timeZone }, [ids.buffer]);
+  };
+
+  // Index `data` (null for none) as dataset 'current' or 'comparison'
+  const build = (key, data, timeZone) => {
+    datasets[key] = { ...datasets[key], data, timeZone };
+    update({ building: { ...state.building, [key]: true } });
+
+    const live = (datasets.current.data || []).length + (datasets.comparison.data || []).length;
+    if (nextEventId - live > Math.max(live, MAX_STALE_EVENTS)) {
+      eventIds = new WeakMap();
+      nextEventId = 0;
+      post({ type: 'reset' });
+      Object.keys(datasets).filter(other => other !== key).forEach(send);
+    }
+    send(key);
+  };
+
+  // Run a named query; resolves with the engine's answer ({ result, versions } unless
+  // skipped or failed). `slot` identifies the asking view so overtaken queries are skipped.
+  const query = (slot, name, params) => new Promise(resolve => {
+    const id = ++nextRequest;
+    pendingQueries.set(id, resolve);
+    post({ type: 'query', id, slot, name, params });
+  });
+
+  const close = () => {
+    closed = true;
+    if (worker) worker.terminate();
+    pendingQueries.clear();
+  };
+
+  return { build, query, close };
+};
+
+// Delay before a background build or query shows as computing, so quick updates (a
+// stream flush, a granularity switch) don't flash the badge
+const COMPUTING_DELAY = 250;
+
+const useDelayedFlag = (active, delay) => {
+  const [shown, setShown] = useState(false);
+  useEffect(() => {
+    if (!active) {
+      setShown(false);
+      return undefined;
+    }
+    const timer = setTimeout(() => setShown(true), delay);
+    return () => clearTimeout(timer);
+  }, [active, delay]);
+  return shown;
+};
+
+// Bucket indexes of the current and comparison (null when off) event lists. Views read
+// results through useAggregationQuery; a newer filter change overtakes a running build.
+const useAggregation = ({ current, comparison }, timeZone) => {
+  const [client, setClient] = useState(null);
+  const [state, setState] = useState(null);
+
+  useEffect(() => {
+    const created = createAggregationClient(setState);
+    setClient(created);
+    return () => created.close();
+  }, []);
+
+  useEffect(() => {
+    if (client) client.build('current', current, timeZone);
+  }, [client, current, timeZone]);
+  useEffect(() => {
+    if (client) client.build('comparison', comparison, timeZone);
+  }, [client, comparison, timeZone]);
+
+  const building = !state || state.building.current || state.building.comparison;
+  const computing = useDelayedFlag(building, COMPUTING_DELAY);
+
+  return useMemo(() => ({
+    query: client && state ? client.query : null,
+    version: state ? `${state.versions.current}:${state.versions.comparison}` : null,
+    events: state ? state.events : [],
+    activityTypes: state ? state.activityTypes : [],
+    hasComparison: Boolean(state && state.hasComparison),
+    computing,
+    error: state ? state.error : null
+  }), [client, state, computing]);
+};
+
+let nextQuerySlot = 0;
+
+// Result of a named aggregation query (see aggregationEngine.js) over the current indexes,
+// re-run when they or `params` change. The previous result stays until the next arrives;
+// `empty` stands in before the first. `events` is the list the result's event indices
+// refer to, and `computing` is set while a slow query runs.
+const useAggregationQuery = (aggregation, name, params, empty) => {
+  const [slot] = useState(() => ++nextQuerySlot);
+  const [state, setState] = useState({ result: empty, events: [], pending: true });
+  const { query, version, events } = aggregation;
+  const paramsKey = JSON.stringify(params);
+
+  useEffect(() => {
+    if (!query) return undefined;
+    let active = true;
+    setState(prev => (prev.pending ? prev : { ...prev, pending: true }));
+    query(slot, name, JSON.parse(paramsKey)).then(answer => {
+      if (!active || answer.skipped) return;
+      if (answer.error) {
+        console.error(`Aggregation query "${name}" failed:`, answer.error);
+        setState(prev => ({ ...prev, pending: false }));
+        return;
+      }
+      // Answers computed over other indexes than this render's are followed by a re-run
+      if (answer.versions === version) setState({ result: answer.result, events, pending: false });
+    });
+    return () => {
+      active = false;
+    };
+  }, [query, version, events, name, paramsKey, slot]);
+
+  const computing = useDelayedFlag(state.pending, COMPUTING_DELAY);
+  return { result: state.result, events: state.events, computing };
+};
+
+// Query results before the first ones arrive
+const emptyStatistics = { devices: 0, users: 0, totalEvents: 0, successEvents: 0, failedEvents: 0, warningEvents: 0 };
+const emptyAnomalyDetection = { method: 'rolling', anomalies: [] };
+const emptyActivityBreakdown = { hourlyDistribution: Array(24).fill(0), dailyTrends: {}, userActivityMap: {}, deviceUsage: {} };
+
+// Stat card numbers with the success rate
+const withSuccessRate = (counts) => ({
+  ...counts,
+  successRate: counts.totalEvents > 0 ? ((counts.successEvents / counts.totalEvents) * 100).toFixed(1) : 0
+});
+
 const statusColorMap = {
   success: '#22c55e', // green
   warning: '#eab308', // yellow
@@ -59,11 +453,84 @@ const statusIcons = {
   fail: '❌'
 };
 
+const timeRangeLabels = {
+  last24hours: 'Last 24 Hours',
+  last7days: 'Last 7 Days',
+  last30days: 'Last 30 Days',
+  last90days: 'Last 90 Days',
+  lastYear: 'Last Year',
+  all: 'All Time'
+};
+
+// Breadcrumb label of a time range, e.g. "Apr 01 – Apr 15, 2025" for custom days
+const describeTimeRange = ({ timeRange, customDateRange }) => {
+  if (timeRange !== 'custom') return timeRangeLabels[timeRange];
+  const start = parseISO(customDateRange.start || '');
+  const end = parseISO(customDateRange.end || '');
+  // A custom range with a cleared day in the picker
+  if (!isValid(start) || !isValid(end)) return 'Custom Range';
+  if (customDateRange.start === customDateRange.end) return format(start, 'MMM dd, yyyy');
+  return start.getFullYear() === end.getFullYear()
+    ? `${format(start, 'MMM dd')} – ${format(end, 'MMM dd, yyyy')}`
+    : `${format(start, 'MMM dd, yyyy')} – ${format(end, 'MMM dd, yyyy')}`;
+};
+
 const tabs = ['Overview', 'Transaction', 'Association', 'Behaviour', 'FCR Score', 'Sanction', 'Evidence'];
 
+// Header chip counting the flagged periods of a chart
+const AnomalyCount = ({ anomalies }) => (
+  anomalies && anomalies.size > 0 ? (
+    <span className="chart-anomalies" title="Periods flagged by anomaly detection">
+      <span className="anomaly-swatch" /> {anomalies.size} {anomalies.size === 1 ? 'anomaly' : 'anomalies'}
+    </span>
+  ) : null
+);
+
+// Tooltip line for a period flagged by anomaly detection
+const AnomalyNote = ({ anomaly }) => (
+  anomaly ? (
+    <p className="tooltip-anomaly">
+      🚨 {anomaly.direction === 'spike' ? 'Spike' : 'Drop'}: {anomaly.actual} events, {anomaly.expected} expected
+    </p>
+  ) : null
+);
+
+// Bar graph breakdowns: status segments, or one series per activity type stacked,
+// side by side or as each type's share of the period
+const barModes = [
+  { id: 'status', label: 'Status' },
+  { id: 'stacked', label: 'Activity type (stacked)' },
+  { id: 'grouped', label: 'Activity type (grouped)' },
+  { id: 'percent', label: 'Activity type (100%)' }
+];
+
+// Stacked bottom to top, so failures sit on top of each bar
+const statusSeries = [
+  { key: 'success', label: 'Success', color: statusColorMap.success, fill: 'url(#successGradient)' },
+  { key: 'warning', label: 'Warning', color: statusColorMap.warning, fill: 'url(#warningGradient)' },
+  { key: 'fail', label: 'Failed', color: statusColorMap.fail, fill: 'url(#failGradient)' }
+];
+
+const activityTypePalette = ['#3b82f6', '#8b5cf6', '#ec4899', '#f97316', '#14b8a6', '#84cc16', '#06b6d4', '#a855f7', '#f43f5e', '#64748b'];
+
+// SVG path through [x, y] points
+const linePath = (points) => points.map(([x, y], i) => `${i === 0 ? 'M' : 'L'}${x},${y}`).join('');
+
+// Closed band between an upper and a lower line over the same x positions
+const bandPath = (upper, lower) => `${linePath(upper)}${linePath([...lower].reverse()).replace(/^M/, 'L')}Z`;
+
+// Log axis ticks at 1, 2 and 5 times each power of ten up to max
+const logTicks = (max) => {
+  const ticks = [];
+  for (let power = 1; power <= max; power *= 10) {
+    [1, 2, 5].forEach(step => step * power <= max && ticks.push(step * power));
+  }
+  return ticks;
+};
+
 // Bar Graph Component for Trend Analysis
 const BarGraph = memo(withTooltip(({
-  data,
+  aggregation,
   width = 800,
   height = 400,
   showTooltip,
@@ -72,176 +539,223 @@ const BarGraph = memo(withTooltip(({
   tooltipTop,
   tooltipLeft,
   granularity = 'weekly',
-  showTrends = true
+  showTrends = true,
+  timeZone = LOCAL_TIMEZONE,
+  comparisonLabel = null,
+  anomalies = null,
+  zoomTrail = [],
+  onZoom,
+  onZoomTo
 }) => {
   const margin = { top: 40, right: 60, bottom: 80, left: 80 };
   const xMax = width - margin.left - margin.right;
   const yMax = height - margin.top - margin.bottom;
+  const [brush, setBrush] = useState(null); // { start, end } x positions in the plot
+  const [barMode, setBarMode] = useState('status');
+  const [logScale, setLogScale] = useState(false);
+  const [hiddenSeries, setHiddenSeries] = useState([]);
+  const [forecastMethod, setForecastMethod] = useState('off');
+  const [forecastHorizon, setForecastHorizon] = useState(6);
+
+  // The series comes from the aggregation worker; the previous bars stay visible while it
+  // computes. In compare mode every period also carries the comparison total, drawn as a
+  // ghost bar.
+  const barSeries = useAggregationQuery(aggregation, 'barSeries', { granularity }, []);
+  const processedData = barSeries.result;
+
+  // Series for the current breakdown; the legend hides series by key
+  const byType = barMode !== 'status';
+  const activityTypes = useMemo(() => [...aggregation.activityTypes].sort(), [aggregation.activityTypes]);
+  const typeColor = useMemo(
+    () => scaleOrdinal({ domain: activityTypes, range: activityTypePalette }),
+    [activityTypes]
+  );
+  const series = byType
+    ? activityTypes.map(type => ({ key: type, label: type, color: typeColor(type), fill: typeColor(type) }))
+    : statusSeries;
+  const visibleSeries = series.filter(item => !hiddenSeries.includes(item.key));
 
-  // Process data for bar chart based on granularity
-  const processedData = useMemo(() => {
-    const dates = Array.from(new Set(data.map(d => d.date))).sort();
-
-    if (granularity === 'yearly') {
-      const yearlyData = {};
-      data.forEach(item => {
-        const year = format(parseISO(item.date), 'yyyy');
-        if (!yearlyData[year]) {
-          yearlyData[year] = { period: year, total: 0, success: 0, warning: 0, fail: 0, trend: 0 };
-        }
-        yearlyData[year].total++;
-        yearlyData[year][item.status]++;
-      });
-
-      const years = Object.keys(yearlyData).sort();
-      return years.map((year, index) => {
-        const current = yearlyData[year];
-        const previous = index > 0 ? yearlyData[years[index - 1]] : null;
-        const trend = previous ? ((current.total - previous.total) / previous.total) * 100 : 0;
-
-        return {
-          ...current,
-          periodLabel: year,
-          trend: Math.round(trend),
-          trendDirection: trend > 0 ? 'up' : trend < 0 ? 'down' : 'stable'
-        };
-      });
-    } else if (granularity === 'monthly') {
-      const monthlyData = {};
-      data.forEach(item => {
-        const month = format(parseISO(item.date), 'yyyy-MM');
-        if (!monthlyData[month]) {
-          monthlyData[month] = { period: month, total: 0, success: 0, warning: 0, fail: 0, trend: 0 };
-        }
-        monthlyData[month].total++;
-        monthlyData[month][item.status]++;
-      });
-
-      const months = Object.keys(monthlyData).sort();
-      return months.map((month, index) => {
-        const current = monthlyData[month];
-        const previous = index > 0 ? monthlyData[months[index - 1]] : null;
-        const trend = previous ? ((current.total - previous.total) / previous.total) * 100 : 0;
-
-        return {
-          ...current,
-          periodLabel: format(parseISO(month + '-01'), 'MMM yyyy'),
-          trend: Math.round(trend),
-          trendDirection: trend > 0 ? 'up' : trend < 0 ? 'down' : 'stable'
-        };
-      });
-    } else if (granularity === 'hourly') {
-      const hourlyData = {};
-      data.forEach(item => {
-        const hour = format(parseISO(item.timestamp), 'yyyy-MM-dd HH');
-        if (!hourlyData[hour]) {
-          hourlyData[hour] = { period: hour, total: 0, success: 0, warning: 0, fail: 0 };
-        }
-        hourlyData[hour].total++;
-        hourlyData[hour][item.status]++;
-      });
-
-      const hours = Object.keys(hourlyData).sort();
-      return hours.map((hour, index) => {
-        const current = hourlyData[hour];
-        const previous = index > 0 ? hourlyData[hours[index - 1]] : null;
-        const trend = previous ? ((current.total - previous.total) / Math.max(previous.total, 1)) * 100 : 0;
-
-        return {
-          ...current,
-          periodLabel: format(parseISO(hour + ':00:00'), 'MMM dd HH:mm'),
-          trend: Math.round(trend),
-          trendDirection: trend > 0 ? 'up' : trend < 0 ? 'down' : 'stable'
-        };
-      });
-    } else if (granularity === 'daily') {
-      const dailyData = {};
-      data.forEach(item => {
-        if (!dailyData[item.date]) {
-          dailyData[item.date] = { period: item.date, total: 0, success: 0, warning: 0, fail: 0 };
-        }
-        dailyData[item.date].total++;
-        dailyData[item.date][item.status]++;
-      });
-
-      return dates.map((date, index) => {
-        const current = dailyData[date] || { period: date, total: 0, success: 0, warning: 0, fail: 0 };
-        const previous = index > 0 ? (dailyData[dates[index - 1]] || { total: 0 }) : null;
-        const trend = previous ? ((current.total - previous.total) / Math.max(previous.total, 1)) * 100 : 0;
-
-        return {
-          ...current,
-          periodLabel: format(parseISO(date), 'MMM dd'),
-          trend: Math.round(trend),
-          trendDirection: trend > 0 ? 'up' : trend < 0 ? 'down' : 'stable'
-        };
-      });
-    } else { // weekly or other
-      // Weekly view (default)
-      const firstDate = parseISO(dates[0]);
-      const lastDate = parseISO(dates[dates.length - 1]);
-      const weekIntervals = eachWeekOfInterval({ start: firstDate, end: lastDate });
-
-      return weekIntervals.map((week, index) => {
-        const weekStart = startOfWeek(week);
-        const weekEnd = endOfWeek(week);
-        const weekData = { period: format(week, 'yyyy-MM-dd'), total: 0, success: 0, warning: 0, fail: 0 };
-        week.forEach(day => {
-          const dayString = format(day, 'yyyy-MM-dd');
-          const dayEvents = data.filter(d => d.date === dayString);
-          dayEvents.forEach(event => {
-            weekData.total++;
-            weekData[event.status]++;
-          });
-        });
-
-        const previousWeek = index > 0 ? weekIntervals[index - 1] : null;
-        let trend = 0;
-        if (previousWeek) {
-          const prevWeekStart = startOfWeek(previousWeek);
-          const prevWeekEnd = endOfWeek(previousWeek);
-          let prevWeekTotal = 0;
-          previousWeek.forEach(day => {
-            const dayString = format(day, 'yyyy-MM-dd');
-            const dayEvents = data.filter(d => d.date === dayString);
-            prevWeekTotal += dayEvents.length;
-          });
-          trend = prevWeekTotal > 0 ? ((weekData.total - prevWeekTotal) / prevWeekTotal) * 100 : 0;
-        }
+  const toggleSeries = (key) => {
+    setHiddenSeries(hidden => (hidden.includes(key) ? hidden.filter(item => item !== key) : [...hidden, key]));
+  };
 
-        return {
-          ...weekData,
-          periodLabel: format(week, 'MMM dd'),
-          trend: Math.round(trend),
-          trendDirection: trend > 0 ? 'up' : trend < 0 ? 'down' : 'stable'
-        };
-      });
-    }
-  }, [data, granularity]);
+  const valueOf = (d, key) => (byType ? d.byType[key] || 0 : d[key]);
+  const visibleTotal = (d) => visibleSeries.reduce((sum, item) => sum + valueOf(d, item.key), 0);
+
+  // Shares have no meaningful log axis, and the comparison total is an absolute count
+  const useLogScale = logScale && barMode !== 'percent';
+  const showComparison = barMode !== 'percent';
+  // Forecasts project the stacked total, which grouped and 100% bars don't show
+  const canForecast = barMode === 'status' || barMode === 'stacked';
+
+  // Forecast of the visible total over the continuous series (see forecast.js), for the
+  // periods after the last one with events. Hiding series in the legend forecasts the rest.
+  const forecast = useAggregationQuery(aggregation, 'forecast', {
+    granularity,
+    method: canForecast ? forecastMethod : 'off',
+    horizon: forecastHorizon,
+    byType,
+    keys: visibleSeries.map(item => item.key)
+  }, []).result;
+
+  // Top of a period's bar in axis units
+  const barTop = (d) => {
+    if (barMode === 'percent') return visibleTotal(d) > 0 ? 100 : 0;
+    if (barMode === 'grouped') return Math.max(0, ...visibleSeries.map(item => valueOf(d, item.key)));
+    return visibleTotal(d);
+  };
 
   // Scales
+  const barPeriods = processedData.map(d => d.period);
   const xScale = scaleBand({
-    domain: processedData.map(d => d.period),
+    domain: [...barPeriods, ...forecast.map(point => point.period).filter(period => !barPeriods.includes(period))],
     range: [0, xMax],
     padding: 0.2
   });
 
-  const yScale = scaleLinear({
-    domain: [0, Math.max(...processedData.map(d => d.total), 1)],
-    range: [yMax, 0]
+  const yDomainMax = Math.max(
+    ...processedData.map(d => Math.max(barTop(d), showComparison ? d.comparisonTotal || 0 : 0)),
+    ...forecast.map(point => point.upper),
+    1
+  );
+  const yScale = useLogScale
+    ? scaleLog({ domain: [1, yDomainMax], range: [yMax, 0], nice: true, clamp: true })
+    : scaleLinear({ domain: [0, yDomainMax], range: [yMax, 0] });
+  const yTicks = useLogScale ? logTicks(yScale.domain()[1]) : yScale.ticks(5);
+  // Counts below one sit on the log axis baseline
+  const yOf = (value) => yScale(useLogScale ? Math.max(value, 1) : value);
+
+  const groupScale = scaleBand({
+    domain: visibleSeries.map(item => item.key),
+    range: [0, xScale.bandwidth()],
+    padding: 0.1
   });
 
+  // Rects for one period: series side by side when grouped, otherwise stacked
+  const barSegments = (d, barX, barWidth) => {
+    const total = visibleTotal(d);
+    let base = 0;
+    return visibleSeries
+      .map(item => ({ ...item, value: valueOf(d, item.key) }))
+      .filter(item => item.value > 0)
+      .map(item => {
+        if (barMode === 'grouped') {
+          return {
+            ...item,
+            x: barX + (groupScale(item.key) || 0),
+            width: groupScale.bandwidth(),
+            y: yOf(item.value),
+            height: yMax - yOf(item.value)
+          };
+        }
+        const bottom = yOf(base);
+        base += barMode === 'percent' ? (item.value / total) * 100 : item.value;
+        return { ...item, x: barX, width: barWidth, y: yOf(base), height: bottom - yOf(base) };
+      });
+  };
+
   const maxTrend = Math.max(...processedData.map(d => Math.abs(d.trend)));
   const trendScale = scaleLinear({
     domain: [-maxTrend, maxTrend],
     range: [yMax, 0]
   });
 
+  // Brush to zoom: dragging across bars selects the days their periods cover
+  const plotX = (event) => {
+    const point = localPoint(event) || { x: 0 };
+    return Math.max(0, Math.min(xMax, point.x - margin.left));
+  };
+
+  const brushedPeriods = (range) => {
+    const from = Math.min(range.start, range.end);
+    const to = Math.max(range.start, range.end);
+    return processedData.filter(d => {
+      const x = xScale(d.period) || 0;
+      return x + xScale.bandwidth() >= from && x <= to;
+    });
+  };
+
+  const handleBrushStart = (event) => {
+    if (event.button !== 0 || !onZoom) return;
+    event.preventDefault();
+    hideTooltip();
+    const x = plotX(event);
+    setBrush({ start: x, end: x });
+  };
+
+  const handleBrushMove = (event) => {
+    if (brush) setBrush({ ...brush, end: plotX(event) });
+  };
+
+  const handleBrushEnd = () => {
+    if (!brush) return;
+    setBrush(null);
+    // A plain click is not a brush
+    if (Math.abs(brush.end - brush.start) < 4) return;
+
+    const selected = brushedPeriods(brush);
+    if (selected.length > 0) {
+      onZoom({
+        start: periodDayRange(selected[0].period, granularity).start,
+        end: periodDayRange(selected[selected.length - 1].period, granularity).end
+      });
+    }
+  };
+
   return (
     <div className="bar-graph-container">
       <div className="chart-header">
         <h3><BarChart3 size={20} /> Activity Trends</h3>
         <div className="chart-controls">
+          {comparisonLabel && (
+            <span className="chart-comparison">
+              <span className="comparison-swatch ghost" /> vs {comparisonLabel}
+            </span>
+          )}
+          <AnomalyCount anomalies={anomalies} />
+          {(aggregation.computing || barSeries.computing) && (
+            <span className="chart-computing">
+              <RefreshCw size={12} className="spinning" /> Computing…
+            </span>
+          )}
+          <label className="chart-select">
+            Breakdown
+            <select value={barMode} onChange={(e) => setBarMode(e.target.value)}>
+              {barModes.map(mode => (
+                <option key={mode.id} value={mode.id}>{mode.label}</option>
+              ))}
+            </select>
+          </label>
+          <label className="chart-select" title={barMode === 'percent' ? 'Not available for 100% bars' : undefined}>
+            <input
+              type="checkbox"
+              checked={useLogScale}
+              disabled={barMode === 'percent'}
+              onChange={(e) => setLogScale(e.target.checked)}
+            />
+            Log scale
+          </label>
+          <label className="chart-select" title={canForecast ? undefined : 'Forecasts need status or stacked bars'}>
+            Forecast
+            <select
+              value={canForecast ? forecastMethod : 'off'}
+              disabled={!canForecast}
+              onChange={(e) => setForecastMethod(e.target.value)}
+            >
+              {forecastMethods.map(method => (
+                <option key={method.id} value={method.id}>{method.label}</option>
+              ))}
+            </select>
+          </label>
+          {canForecast && forecastMethod !== 'off' && (
+            <label className="chart-select">
+              <select value={forecastHorizon} onChange={(e) => setForecastHorizon(Number(e.target.value))}>
+                {forecastHorizons.map(horizon => (
+                  <option key={horizon} value={horizon}>Next {horizon} periods</option>
+                ))}
+              </select>
+            </label>
+          )}
           <button className="chart-control-btn" title="Export Chart">
             <Download size={16} />
           </button>
@@ -251,7 +765,58 @@ const BarGraph = memo(withTooltip(({
         </div>
       </div>
 
-      <svg width={width} height={height}>
+      <div className="zoom-bar">
+        {zoomTrail.length > 1 && (
+          <nav className="zoom-breadcrumb" aria-label="Zoom history">
+            {zoomTrail.map((label, level) => (
+              <React.Fragment key={level}>
+                {level > 0 && <span className="zoom-separator">›</span>}
+                {level < zoomTrail.length - 1 ? (
+                  <button className="zoom-crumb" onClick={() => onZoomTo(level)}>{label}</button>
+                ) : (
+                  <span className="zoom-crumb current">{label}</span>
+                )}
+              </React.Fragment>
+            ))}
+          </nav>
+        )}
+        <span className="zoom-hint">Drag across bars to zoom in, double-click to zoom out</span>
+      </div>
+
+      <div className="bar-legend">
+        {series.map(item => {
+          const hidden = hiddenSeries.includes(item.key);
+          return (
+            <button
+              key={item.key}
+              className={hidden ? 'bar-legend-item hidden' : 'bar-legend-item'}
+              aria-pressed={!hidden}
+              title={hidden ? `Show ${item.label}` : `Hide ${item.label}`}
+              onClick={() => toggleSeries(item.key)}
+            >
+              <span className="bar-legend-swatch" style={{ backgroundColor: item.color }} />
+              {item.label}
+            </button>
+          );
+        })}
+        {forecast.length > 0 && (
+          <span className="bar-legend-item forecast">
+            <span className="bar-legend-swatch forecast-swatch" />
+            Forecast with 95% interval
+          </span>
+        )}
+      </div>
+
+      <svg
+        width={width}
+        height={height}
+        className={brush ? 'brushing' : undefined}
+        onMouseDown={handleBrushStart}
+        onMouseMove={handleBrushMove}
+        onMouseUp={handleBrushEnd}
+        onMouseLeave={() => setBrush(null)}
+        onDoubleClick={() => zoomTrail.length > 1 && onZoomTo(zoomTrail.length - 2)}
+      >
         <defs>
           <linearGradient id="successGradient" x1="0%" y1="0%" x2="0%" y2="100%">
             <stop offset="0%" stopColor="#22c55e" stopOpacity={0.8} />
@@ -269,7 +834,7 @@ const BarGraph = memo(withTooltip(({
 
         <g transform={`translate(${margin.left}, ${margin.top})`}>
           {/* Grid lines */}
-          {yScale.ticks(5).map(tick => (
+          {yTicks.map(tick => (
             <g key={`grid-${tick}`}>
               <line
                 x1={0}
@@ -288,7 +853,7 @@ const BarGraph = memo(withTooltip(({
                 fontSize={12}
                 fill="#6b7280"
               >
-                {tick}
+                {barMode === 'percent' ? `${tick}%` : tick}
               </text>
             </g>
           ))}
@@ -313,60 +878,38 @@ const BarGraph = memo(withTooltip(({
             return null;
           })}
 
-          {/* Bars with stacked segments */}
+          {/* Bars: status or activity type segments */}
           {processedData.map((d) => {
             const barX = xScale(d.period) || 0;
             const barWidth = xScale.bandwidth();
-
-            // Calculate heights for stacked bars
-            const failHeight = (d.fail / d.total) * (yMax - yScale(d.total));
-            const warningHeight = (d.warning / d.total) * (yMax - yScale(d.total));
-            const successHeight = (d.success / d.total) * (yMax - yScale(d.total));
-
-            const failY = yScale(d.total);
-            const warningY = failY + failHeight;
-            const successY = warningY + warningHeight;
+            const topY = yOf(barTop(d));
+            const anomaly = anomalies && anomalies.get(d.period);
 
             return (
               <g key={`bar-${d.period}`}>
-                {/* Fail segment */}
-                {d.fail > 0 && (
+                {/* Anomalous period band, behind everything else */}
+                {anomaly && (
                   <rect
-                    x={barX}
-                    y={failY}
-                    width={barWidth}
-                    height={failHeight}
-                    fill="url(#failGradient)"
-                    stroke="#ef4444"
-                    strokeWidth={1}
-                    className="bar-segment"
-                    onMouseEnter={(event) => {
-                      const point = localPoint(event) || { x: 0, y: 0 };
-                      showTooltip({
-                        tooltipData: { ...d, segment: 'fail', value: d.fail },
-                        tooltipTop: point.y,
-                        tooltipLeft: point.x,
-                      });
-                    }}
-                    onMouseLeave={hideTooltip}
+                    x={barX - barWidth * 0.1}
+                    y={0}
+                    width={barWidth * 1.2}
+                    height={yMax}
+                    className={`anomaly-band ${anomaly.direction}`}
                   />
                 )}
 
-                {/* Warning segment */}
-                {d.warning > 0 && (
+                {/* Comparison ghost bar, behind the segments */}
+                {showComparison && d.comparisonTotal > 0 && (
                   <rect
                     x={barX}
-                    y={warningY}
+                    y={yOf(d.comparisonTotal)}
                     width={barWidth}
-                    height={warningHeight}
-                    fill="url(#warningGradient)"
-                    stroke="#eab308"
-                    strokeWidth={1}
-                    className="bar-segment"
+                    height={yMax - yOf(d.comparisonTotal)}
+                    className="comparison-bar"
                     onMouseEnter={(event) => {
                       const point = localPoint(event) || { x: 0, y: 0 };
                       showTooltip({
-                        tooltipData: { ...d, segment: 'warning', value: d.warning },
+                        tooltipData: d,
                         tooltipTop: point.y,
                         tooltipLeft: point.x,
                       });
@@ -375,64 +918,76 @@ const BarGraph = memo(withTooltip(({
                   />
                 )}
 
-                {/* Success segment */}
-                {d.success > 0 && (
+                {barSegments(d, barX, barWidth).map(segment => (
                   <rect
-                    x={barX}
-                    y={successY}
-                    width={barWidth}
-                    height={successHeight}
-                    fill="url(#successGradient)"
-                    stroke="#22c55e"
+                    key={segment.key}
+                    x={segment.x}
+                    y={segment.y}
+                    width={segment.width}
+                    height={segment.height}
+                    fill={segment.fill}
+                    fillOpacity={byType ? 0.75 : undefined}
+                    stroke={segment.color}
                     strokeWidth={1}
                     className="bar-segment"
                     onMouseEnter={(event) => {
                       const point = localPoint(event) || { x: 0, y: 0 };
                       showTooltip({
-                        tooltipData: { ...d, segment: 'success', value: d.success },
+                        tooltipData: { ...d, segment: segment.label, value: segment.value },
                         tooltipTop: point.y,
                         tooltipLeft: point.x,
                       });
                     }}
                     onMouseLeave={hideTooltip}
                   />
+                ))}
+
+                {/* Comparison level, visible when the current bar covers the ghost bar */}
+                {showComparison && d.comparisonTotal > 0 && (
+                  <line
+                    x1={barX}
+                    y1={yOf(d.comparisonTotal)}
+                    x2={barX + barWidth}
+                    y2={yOf(d.comparisonTotal)}
+                    className="comparison-level"
+                  />
                 )}
 
-                {/* Total count label */}
-                {d.total > 0 && (
+                {/* Count label for the visible series */}
+                {visibleTotal(d) > 0 && (
                   <text
                     x={barX + barWidth / 2}
-                    y={yScale(d.total) - 5}
+                    y={topY - 5}
                     textAnchor="middle"
                     fontSize={10}
                     fontWeight="bold"
                     fill="#374151"
                   >
-                    {d.total}
+                    {visibleTotal(d)}
                   </text>
                 )}
 
                 {/* Trend indicator */}
-                {showTrends && d.trend !== 0 && (
+                {showTrends && d.trend !== 0 && visibleTotal(d) > 0 && (
                   <g>
                     {d.trendDirection === 'up' ? (
                       <TrendingUp
                         x={barX + barWidth - 12}
-                        y={yScale(d.total) - 20}
+                        y={topY - 20}
                         size={10}
                         color="#22c55e"
                       />
                     ) : d.trendDirection === 'down' ? (
                       <TrendingDown
                         x={barX + barWidth - 12}
-                        y={yScale(d.total) - 20}
+                        y={topY - 20}
                         size={10}
                         color="#ef4444"
                       />
                     ) : null}
                     <text
                       x={barX + barWidth / 2}
-                      y={yScale(d.total) - 25}
+                      y={topY - 25}
                       textAnchor="middle"
                       fontSize={8}
                       fill={d.trendDirection === 'up' ? '#22c55e' : d.trendDirection === 'down' ? '#ef4444' : '#6b7280'}
@@ -446,6 +1001,57 @@ const BarGraph = memo(withTooltip(({
             );
           })}
 
+          {/* Forecast: a band fanning out from the last bar, and outlined bars */}
+          {forecast.length > 0 && (() => {
+            const center = (period) => (xScale(period) || 0) + xScale.bandwidth() / 2;
+            const last = processedData[processedData.length - 1];
+            const anchor = last ? [[center(last.period), yOf(visibleTotal(last))]] : [];
+            const upper = [...anchor, ...forecast.map(point => [center(point.period), yOf(point.upper)])];
+            const lower = [...anchor, ...forecast.map(point => [center(point.period), yOf(point.lower)])];
+            return (
+              <g className="forecast">
+                <path className="forecast-band" d={bandPath(upper, lower)} />
+                <line
+                  className="forecast-divider"
+                  x1={xScale(forecast[0].period) - xScale.step() * xScale.paddingInner() / 2}
+                  y1={0}
+                  x2={xScale(forecast[0].period) - xScale.step() * xScale.paddingInner() / 2}
+                  y2={yMax}
+                />
+                {forecast.map(point => (
+                  <rect
+                    key={`forecast-${point.period}`}
+                    x={xScale(point.period) || 0}
+                    y={yOf(point.value)}
+                    width={xScale.bandwidth()}
+                    height={yMax - yOf(point.value)}
+                    className="forecast-bar"
+                    onMouseEnter={(event) => {
+                      const localPosition = localPoint(event) || { x: 0, y: 0 };
+                      showTooltip({
+                        tooltipData: { ...point, forecast: true },
+                        tooltipTop: localPosition.y,
+                        tooltipLeft: localPosition.x,
+                      });
+                    }}
+                    onMouseLeave={hideTooltip}
+                  />
+                ))}
+              </g>
+            );
+          })()}
+
+          {/* Brush selection */}
+          {brush && (
+            <rect
+              x={Math.min(brush.start, brush.end)}
+              y={0}
+              width={Math.abs(brush.end - brush.start)}
+              height={yMax}
+              className="zoom-brush"
+            />
+          )}
+
           {/* Y-axis line */}
           <line
             x1={0}
@@ -476,7 +1082,7 @@ const BarGraph = memo(withTooltip(({
             fill="#374151"
             transform={`rotate(-90, -60, ${yMax / 2})`}
           >
-            Event Count
+            {barMode === 'percent' ? 'Share of Events (%)' : useLogScale ? 'Event Count (log)' : 'Event Count'}
           </text>
 
           {/* X-axis label */}
@@ -488,7 +1094,7 @@ const BarGraph = memo(withTooltip(({
             fontWeight="600"
             fill="#374151"
           >
-            Time Period ({granularity})
+            Time Period ({granularity}, {timeZoneLabel(timeZone)})
           </text>
         </g>
       </svg>
@@ -509,718 +1115,2800 @@ const BarGraph = memo(withTooltip(({
             maxWidth: '250px'
           }}
         >
-          <div className="tooltip-content">
-            <div className="tooltip-header">
-              <strong>{tooltipData.periodLabel}</strong>
-              <span className="tooltip-trend">
-                {tooltipData.trendDirection === 'up' ? '📈' : tooltipData.trendDirection === 'down' ? '📉' : '➡️'}
-                {tooltipData.trend > 0 ? '+' : ''}{tooltipData.trend}%
-              </span>
+          {tooltipData.forecast ? (
+            <div className="tooltip-content">
+              <div className="tooltip-header">
+                <strong>{tooltipData.periodLabel}</strong>
+              </div>
+              <div className="tooltip-body">
+                <p>🔮 Forecast: {Math.round(tooltipData.value)} events</p>
+                <p>95% interval: {Math.round(tooltipData.lower)} – {Math.round(tooltipData.upper)}</p>
+                <small>{forecastMethods.find(method => method.id === forecastMethod).label} on the visible series</small>
+              </div>
             </div>
-            <div className="tooltip-body">
-              <p>📊 Total: {tooltipData.total} events</p>
-              <p>✅ Success: {tooltipData.success}</p>
-              <p>⚠️ Warning: {tooltipData.warning}</p>
-              <p>❌ Failed: {tooltipData.fail}</p>
-              {tooltipData.segment && (
-                <p style={{ marginTop: '8px', fontWeight: 'bold' }}>
-                  Selected: {tooltipData.segment} ({tooltipData.value})
-                </p>
-              )}
+          ) : (
+            <div className="tooltip-content">
+              <div className="tooltip-header">
+                <strong>{tooltipData.periodLabel}</strong>
+                <span className="tooltip-trend">
+                  {tooltipData.trendDirection === 'up' ? '📈' : tooltipData.trendDirection === 'down' ? '📉' : '➡️'}
+                  {tooltipData.trend > 0 ? '+' : ''}{tooltipData.trend}%
+                </span>
+              </div>
+              <div className="tooltip-body">
+                <p>📊 Total: {tooltipData.total} events</p>
+                {byType ? (
+                  // Busiest activity types first, so the one behind a spike leads
+                  Object.entries(tooltipData.byType)
+                    .filter(([type]) => !hiddenSeries.includes(type))
+                    .sort((a, b) => b[1] - a[1])
+                    .slice(0, 6)
+                    .map(([type, count]) => (
+                      <p key={type}>
+                        <span className="bar-legend-swatch" style={{ backgroundColor: typeColor(type) }} /> {type}: {count}
+                        {barMode === 'percent' && ` (${Math.round((count / visibleTotal(tooltipData)) * 100)}%)`}
+                      </p>
+                    ))
+                ) : (
+                  <>
+                    <p>✅ Success: {tooltipData.success}</p>
+                    <p>⚠️ Warning: {tooltipData.warning}</p>
+                    <p>❌ Failed: {tooltipData.fail}</p>
+                  </>
+                )}
+                {tooltipData.comparisonTotal !== null && (
+                  <p>
+                    ↔️ Comparison: {tooltipData.comparisonTotal}
+                    {tooltipData.comparisonChange !== null &&
+                      ` (${tooltipData.comparisonChange > 0 ? '+' : ''}${tooltipData.comparisonChange}%)`}
+                  </p>
+                )}
+                <AnomalyNote anomaly={anomalies && anomalies.get(tooltipData.period)} />
+                {tooltipData.segment && (
+                  <p style={{ marginTop: '8px', fontWeight: 'bold' }}>
+                    Selected: {tooltipData.segment} ({tooltipData.value})
+                  </p>
+                )}
+              </div>
             </div>
-          </div>
+          )}
         </Tooltip>
       )}
     </div>
   );
 }));
 
-const HeatmapChart = memo(withTooltip(({
-  data,
-  width = 1000,
-  height = 500,
+// Line chart: one line or stacked area per status or activity type, smoothed by a
+// trailing moving average, with optional min/max envelopes over the same window
+const lineSeriesSplits = [
+  { id: 'status', label: 'Status' },
+  { id: 'activityType', label: 'Activity type' }
+];
+
+const smoothingWindows = [1, 3, 7, 14, 30];
+
+const LineChart = memo(withTooltip(({
+  aggregation,
+  width = 800,
+  height = 400,
   showTooltip,
   hideTooltip,
   tooltipData,
   tooltipTop,
   tooltipLeft,
-  onCellClick,
-  showGradient = true,
-  showAccessibilityPatterns = false,
-  granularity // Added granularity prop
+  granularity = 'weekly',
+  timeZone = LOCAL_TIMEZONE
 }) => {
-  const margin = { top: 80, right: 40, bottom: 60, left: 220 };
+  const margin = { top: 40, right: 60, bottom: 80, left: 80 };
   const xMax = width - margin.left - margin.right;
   const yMax = height - margin.top - margin.bottom;
+  const [seriesBy, setSeriesBy] = useState('status');
+  const [chartStyle, setChartStyle] = useState('line');
+  const [smoothing, setSmoothing] = useState(1);
+  const [showEnvelope, setShowEnvelope] = useState(false);
+  const [hiddenSeries, setHiddenSeries] = useState([]);
+
+  const timeSeriesQuery = useAggregationQuery(aggregation, 'timeSeries', { granularity }, []);
+  const timeSeries = timeSeriesQuery.result;
+  const computing = aggregation.computing || timeSeriesQuery.computing;
+
+  const byType = seriesBy === 'activityType';
+  const activityTypes = useMemo(() => [...aggregation.activityTypes].sort(), [aggregation.activityTypes]);
+  const typeColor = useMemo(
+    () => scaleOrdinal({ domain: activityTypes, range: activityTypePalette }),
+    [activityTypes]
+  );
+  const series = useMemo(() => (byType
+    ? activityTypes.map(type => ({ key: type, label: type, color: typeColor(type) }))
+    : statusSeries), [byType, activityTypes, typeColor]);
+
+  // Raw and smoothed values per visible series
+  const lines = useMemo(() => series
+    .filter(item => !hiddenSeries.includes(item.key))
+    .map(item => {
+      const raw = timeSeries.map(d => (byType ? d.byType[item.key] || 0 : d[item.key]));
+      return { ...item, raw, window: movingWindow(raw, smoothing) };
+    }), [series, hiddenSeries, timeSeries, byType, smoothing]);
+
+  // Envelopes need a window and would overlap the stack
+  const envelope = showEnvelope && smoothing > 1 && chartStyle === 'line';
+
+  // Stacked areas: each series sits on the smoothed sum of the ones before it
+  const stacks = useMemo(() => {
+    let base = timeSeries.map(() => 0);
+    return lines.map(line => {
+      const lower = base;
+      base = base.map((value, i) => value + line.window[i].mean);
+      return { lower, upper: base };
+    });
+  }, [lines, timeSeries]);
 
-  // Memoize expensive calculations
-  const activityTypes = useMemo(() => Array.from(new Set(data.map(d => d.activityType))), [data]);
-  const dates = useMemo(() => Array.from(new Set(data.map(d => d.date))).sort(), [data]);
-
-  // Create weekly bins
-  const weeks = useMemo(() => {
-    if (dates.length === 0) return [];
-    const firstDate = parseISO(dates[0]);
-    const lastDate = parseISO(dates[dates.length - 1]);
-    return eachWeekOfInterval({ start: firstDate, end: lastDate });
-  }, [dates]);
-
-  // Create appropriate scale based on granularity
-  const getXScale = () => {
-    if (granularity === 'yearly') {
-      const years = Array.from(new Set(dates.map(date => format(parseISO(date), 'yyyy')))).sort();
-      return scaleBand({
-        domain: years,
-        range: [0, xMax],
-        padding: 0.02
-      });
-    } else if (granularity === 'hourly') {
-      const hours = Array.from(new Set(data.map(item => format(parseISO(item.timestamp), 'yyyy-MM-dd HH')))).sort();
-      return scaleBand({
-        domain: hours,
-        range: [0, xMax],
-        padding: 0.02
-      });
-    } else if (granularity === 'daily') {
-      return scaleBand({
-        domain: dates,
-        range: [0, xMax],
-        padding: 0.02
-      });
-    } else if (granularity === 'monthly') {
-      const months = Array.from(new Set(dates.map(date => format(parseISO(date), 'yyyy-MM')))).sort();
-      return scaleBand({
-        domain: months,
-        range: [0, xMax],
-        padding: 0.02
-      });
-    } else { // weekly or other
-      return scaleBand({
-        domain: weeks.map(week => format(week, 'yyyy-MM-dd')),
-        range: [0, xMax],
-        padding: 0.02
-      });
-    }
-  };
-
-  const xScale = useMemo(() => getXScale(), [dates, weeks, granularity, xMax]);
-
-  const yScale = scaleBand({
-    domain: activityTypes,
-    range: [0, yMax],
-    padding: 0.02
+  const xScale = scaleLinear({
+    domain: [0, Math.max(timeSeries.length - 1, 1)],
+    range: [0, xMax]
   });
 
-  // Memoize the processed data - fix hooks issue by moving processing inside useMemo
-  const gridData = useMemo(() => {
-    if (granularity === 'yearly') {
-      // Yearly view - group by years
-      const years = Array.from(new Set(dates.map(date => format(parseISO(date), 'yyyy'))));
-      return activityTypes.map(activityType => {
-        return years.map(year => {
-          const yearEvents = data.filter(d => {
-            const eventYear = format(parseISO(d.date), 'yyyy');
-            return eventYear === year && d.activityType === activityType;
-          });
-
-          let status = null;
-          let intensity = 0;
-          if (yearEvents.length > 0) {
-            const statusCounts = yearEvents.reduce((acc, event) => {
-              acc[event.status] = (acc[event.status] || 0) + 1;
-              return acc;
-            }, {});
+  const yDomainMax = chartStyle === 'area'
+    ? Math.max(...(stacks.length ? stacks[stacks.length - 1].upper : []), 1)
+    : Math.max(...lines.flatMap(line => line.window.map(w => (envelope ? w.max : w.mean))), 1);
+  const yScale = scaleLinear({ domain: [0, yDomainMax], range: [yMax, 0], nice: true });
 
-            if (statusCounts.fail) status = 'fail';
-            else if (statusCounts.warning) status = 'warning';
-            else status = 'success';
+  const points = (values) => values.map((value, i) => [xScale(i), yScale(value)]);
 
-            intensity = yearEvents.length / Math.max(...years.map(y =>
-              data.filter(item => format(parseISO(item.date), 'yyyy') === y && item.activityType === activityType).length
-            ), 1);
-          }
-
-          return {
-            activityType,
-            period: year,
-            periodLabel: year,
-            status,
-            events: yearEvents,
-            count: yearEvents.length,
-            intensity
-          };
-        });
-      }).flat();
-    } else if (granularity === 'hourly') {
-      // Hourly view - group by hours
-      const hours = Array.from(new Set(data.map(item => format(parseISO(item.timestamp), 'yyyy-MM-dd HH'))));
-      return activityTypes.map(activityType => {
-        return hours.map(hour => {
-          const hourEvents = data.filter(d => {
-            const eventHour = format(parseISO(d.timestamp), 'yyyy-MM-dd HH');
-            return eventHour === hour && d.activityType === activityType;
-          });
+  const toggleSeries = (key) => {
+    setHiddenSeries(hidden => (hidden.includes(key) ? hidden.filter(item => item !== key) : [...hidden, key]));
+  };
 
-          let status = null;
-          let intensity = 0;
-          if (hourEvents.length > 0) {
-            const statusCounts = hourEvents.reduce((acc, event) => {
-              acc[event.status] = (acc[event.status] || 0) + 1;
-              return acc;
-            }, {});
+  // Crosshair: snap to the nearest period under the pointer
+  const handleHover = (event) => {
+    const point = localPoint(event) || { x: 0, y: 0 };
+    const i = Math.round(xScale.invert(point.x - margin.left));
+    if (timeSeries.length === 0) return;
+    showTooltip({
+      tooltipData: { index: Math.max(0, Math.min(timeSeries.length - 1, i)) },
+      tooltipTop: point.y,
+      tooltipLeft: point.x
+    });
+  };
 
-            if (statusCounts.fail) status = 'fail';
-            else if (statusCounts.warning) status = 'warning';
-            else status = 'success';
+  const hovered = tooltipData && timeSeries[tooltipData.index] ? tooltipData.index : null;
+  const formatValue = (value) => (Number.isInteger(value) ? value : value.toFixed(1));
 
-            intensity = hourEvents.length / Math.max(...hours.map(h =>
-              data.filter(item => format(parseISO(item.timestamp), 'yyyy-MM-dd HH') === h && item.activityType === activityType).length
-            ), 1);
-          }
+  return (
+    <div className="bar-graph-container line-chart-container">
+      <div className="chart-header">
+        <h3><ChartLine size={20} /> Activity Over Time</h3>
+        <div className="chart-controls">
+          {computing && (
+            <span className="chart-computing">
+              <RefreshCw size={12} className="spinning" /> Computing…
+            </span>
+          )}
+          <label className="chart-select">
+            Series
+            <select value={seriesBy} onChange={(e) => setSeriesBy(e.target.value)}>
+              {lineSeriesSplits.map(split => (
+                <option key={split.id} value={split.id}>{split.label}</option>
+              ))}
+            </select>
+          </label>
+          <label className="chart-select">
+            Style
+            <select value={chartStyle} onChange={(e) => setChartStyle(e.target.value)}>
+              <option value="line">Lines</option>
+              <option value="area">Stacked areas</option>
+            </select>
+          </label>
+          <label className="chart-select">
+            Smoothing
+            <select value={smoothing} onChange={(e) => setSmoothing(Number(e.target.value))}>
+              {smoothingWindows.map(size => (
+                <option key={size} value={size}>{size === 1 ? 'Off' : `${size}-period average`}</option>
+              ))}
+            </select>
+          </label>
+          <label
+            className="chart-select"
+            title={smoothing === 1 || chartStyle === 'area' ? 'Needs smoothing and the line style' : undefined}
+          >
+            <input
+              type="checkbox"
+              checked={envelope}
+              disabled={smoothing === 1 || chartStyle === 'area'}
+              onChange={(e) => setShowEnvelope(e.target.checked)}
+            />
+            Min/max envelope
+          </label>
+        </div>
+      </div>
 
-          return {
-            activityType,
-            period: hour,
-            periodLabel: format(parseISO(hour + ':00:00'), 'MMM dd HH:mm'),
-            status,
-            events: hourEvents,
-            count: hourEvents.length,
-            intensity
-          };
-        });
-      }).flat();
-    } else if (granularity === 'daily') {
-      // Daily view - group by individual days
-      return activityTypes.map(activityType => {
-        return dates.map(date => {
-          const dayEvents = data.filter(d =>
-            d.date === date && d.activityType === activityType
+      <div className="bar-legend">
+        {series.map(item => {
+          const hidden = hiddenSeries.includes(item.key);
+          return (
+            <button
+              key={item.key}
+              className={hidden ? 'bar-legend-item hidden' : 'bar-legend-item'}
+              aria-pressed={!hidden}
+              title={hidden ? `Show ${item.label}` : `Hide ${item.label}`}
+              onClick={() => toggleSeries(item.key)}
+            >
+              <span className="bar-legend-swatch" style={{ backgroundColor: item.color }} />
+              {item.label}
+            </button>
           );
+        })}
+      </div>
+
+      <svg width={width} height={height}>
+        <g transform={`translate(${margin.left}, ${margin.top})`}>
+          {/* Grid lines */}
+          {yScale.ticks(5).map(tick => (
+            <g key={`grid-${tick}`}>
+              <line
+                x1={0}
+                y1={yScale(tick)}
+                x2={xMax}
+                y2={yScale(tick)}
+                stroke="#e5e7eb"
+                strokeWidth={1}
+                strokeDasharray="2,2"
+              />
+              <text
+                x={-10}
+                y={yScale(tick)}
+                textAnchor="end"
+                dominantBaseline="middle"
+                fontSize={12}
+                fill="#6b7280"
+              >
+                {tick}
+              </text>
+            </g>
+          ))}
 
-          let status = null;
-          let intensity = 0;
-          if (dayEvents.length > 0) {
-            const statusCounts = dayEvents.reduce((acc, event) => {
-              acc[event.status] = (acc[event.status] || 0) + 1;
-              return acc;
-            }, {});
+          {/* X-axis labels */}
+          {timeSeries.map((d, i) => (
+            i % Math.ceil(timeSeries.length / 8) === 0 && (
+              <text
+                key={`x-label-${d.period}`}
+                x={xScale(i)}
+                y={yMax + 20}
+                textAnchor="middle"
+                fontSize={11}
+                fill="#374151"
+                fontWeight={500}
+              >
+                {d.periodLabel}
+              </text>
+            )
+          ))}
 
-            if (statusCounts.fail) status = 'fail';
-            else if (statusCounts.warning) status = 'warning';
-            else status = 'success';
+          {chartStyle === 'area' ? lines.map((line, i) => (
+            <path
+              key={line.key}
+              d={bandPath(points(stacks[i].upper), points(stacks[i].lower))}
+              fill={line.color}
+              fillOpacity={0.6}
+              stroke={line.color}
+              strokeWidth={1}
+              className="line-series"
+            />
+          )) : lines.map(line => (
+            <g key={line.key}>
+              {envelope && (
+                <path
+                  d={bandPath(points(line.window.map(w => w.max)), points(line.window.map(w => w.min)))}
+                  fill={line.color}
+                  fillOpacity={0.15}
+                  className="line-envelope"
+                />
+              )}
+              <path
+                d={linePath(points(line.window.map(w => w.mean)))}
+                fill="none"
+                stroke={line.color}
+                strokeWidth={2}
+                className="line-series"
+              />
+            </g>
+          ))}
 
-            intensity = dayEvents.length / Math.max(...dates.map(d =>
-              data.filter(item => item.date === d && item.activityType === activityType).length
-            ), 1);
-          }
+          {/* A single period has no line to draw */}
+          {timeSeries.length === 1 && lines.map((line, i) => (
+            <circle
+              key={`single-${line.key}`}
+              cx={xScale(0)}
+              cy={yScale(chartStyle === 'area' ? stacks[i].upper[0] : line.window[0].mean)}
+              r={4}
+              fill={line.color}
+              className="line-series"
+            />
+          ))}
 
-          return {
-            activityType,
-            period: date,
-            periodLabel: format(parseISO(date), 'MMM dd'),
-            status,
-            events: dayEvents,
-            count: dayEvents.length,
-            intensity
-          };
-        });
-      }).flat();
-    } else if (granularity === 'monthly') {
-      // Monthly view - group by months
-      const months = Array.from(new Set(dates.map(date => format(parseISO(date), 'yyyy-MM'))));
-      return activityTypes.map(activityType => {
-        return months.map(month => {
-          const monthEvents = data.filter(d => {
-            const eventMonth = format(parseISO(d.date), 'yyyy-MM');
-            return eventMonth === month && d.activityType === activityType;
-          });
+          {/* Crosshair */}
+          {hovered !== null && (
+            <g className="line-crosshair">
+              <line x1={xScale(hovered)} y1={0} x2={xScale(hovered)} y2={yMax} />
+              {lines.map((line, i) => (
+                <circle
+                  key={line.key}
+                  cx={xScale(hovered)}
+                  cy={yScale(chartStyle === 'area' ? stacks[i].upper[hovered] : line.window[hovered].mean)}
+                  r={4}
+                  fill={line.color}
+                />
+              ))}
+            </g>
+          )}
+
+          {/* Y-axis line */}
+          <line
+            x1={0}
+            y1={0}
+            x2={0}
+            y2={yMax}
+            stroke="#374151"
+            strokeWidth={2}
+          />
+
+          {/* X-axis line */}
+          <line
+            x1={0}
+            y1={yMax}
+            x2={xMax}
+            y2={yMax}
+            stroke="#374151"
+            strokeWidth={2}
+          />
 
-          let status = null;
-          let intensity = 0;
-          if (monthEvents.length > 0) {
-            const statusCounts = monthEvents.reduce((acc, event) => {
-              acc[event.status] = (acc[event.status] || 0) + 1;
-              return acc;
-            }, {});
+          {/* Y-axis label */}
+          <text
+            x={-60}
+            y={yMax / 2}
+            textAnchor="middle"
+            fontSize={14}
+            fontWeight="600"
+            fill="#374151"
+            transform={`rotate(-90, -60, ${yMax / 2})`}
+          >
+            {smoothing > 1 ? `Event Count (${smoothing}-period average)` : 'Event Count'}
+          </text>
 
-            if (statusCounts.fail) status = 'fail';
-            else if (statusCounts.warning) status = 'warning';
-            else status = 'success';
+          {/* X-axis label */}
+          <text
+            x={xMax / 2}
+            y={yMax + 60}
+            textAnchor="middle"
+            fontSize={14}
+            fontWeight="600"
+            fill="#374151"
+          >
+            Time Period ({granularity}, {timeZoneLabel(timeZone)})
+          </text>
 
-            intensity = monthEvents.length / Math.max(...months.map(m =>
-              data.filter(item => format(parseISO(item.date), 'yyyy-MM') === m && item.activityType === activityType).length
-            ), 1);
-          }
+          {/* Hover capture over the plot */}
+          <rect
+            width={xMax}
+            height={yMax}
+            fill="transparent"
+            onMouseMove={handleHover}
+            onMouseLeave={hideTooltip}
+          />
+        </g>
+      </svg>
 
-          return {
-            activityType,
-            period: month,
-            periodLabel: format(parseISO(month + '-01'), 'MMM yyyy'),
-            status,
-            events: monthEvents,
-            count: monthEvents.length,
-            intensity
-          };
-        });
-      }).flat();
-    } else { // weekly or other
-      // Weekly view (default)
-      return activityTypes.map(activityType => {
-        return weeks.map(week => {
-          const weekStart = startOfWeek(week);
-          const weekEnd = endOfWeek(week);
-          const weekKey = format(week, 'yyyy-MM-dd');
-
-          const weekEvents = data.filter(d => {
-            const eventDate = parseISO(d.date);
-            return d.activityType === activityType &&
-                   eventDate >= weekStart &&
-                   eventDate <= weekEnd;
-          });
+      {hovered !== null && (
+        <Tooltip
+          top={tooltipTop}
+          left={tooltipLeft}
+          style={{
+            ...defaultStyles,
+            backgroundColor: 'rgba(0, 0, 0, 0.95)',
+            color: 'white',
+            border: 'none',
+            borderRadius: '8px',
+            padding: '12px 16px',
+            fontSize: '13px',
+            boxShadow: '0 10px 15px -3px rgba(0, 0, 0, 0.1)',
+            maxWidth: '280px'
+          }}
+        >
+          <div className="tooltip-content">
+            <div className="tooltip-header">
+              <strong>{timeSeries[hovered].periodLabel}</strong>
+            </div>
+            <div className="tooltip-body">
+              <p>📊 Total: {timeSeries[hovered].total} events</p>
+              {lines.map(line => (
+                <p key={line.key}>
+                  <span className="bar-legend-swatch" style={{ backgroundColor: line.color }} /> {line.label}:{' '}
+                  {formatValue(line.window[hovered].mean)}
+                  {smoothing > 1 && ` (raw ${line.raw[hovered]})`}
+                  {envelope && `, ${line.window[hovered].min}–${line.window[hovered].max}`}
+                </p>
+              ))}
+            </div>
+          </div>
+        </Tooltip>
+      )}
+    </div>
+  );
+}));
 
-          let status = null;
-          let intensity = 0;
-          if (weekEvents.length > 0) {
-            const statusCounts = weekEvents.reduce((acc, event) => {
-              acc[event.status] = (acc[event.status] || 0) + 1;
-              return acc;
-            }, {});
-
-            if (statusCounts.fail) status = 'fail';
-            else if (statusCounts.warning) status = 'warning';
-            else status = 'success';
-
-            const maxEvents = Math.max(...activityTypes.map(type => {
-              const typeWeeks = weeks.map(w => {
-                const wStart = startOfWeek(w);
-                const wEnd = endOfWeek(w);
-                return data.filter(d => {
-                  const eventDate = parseISO(d.date);
-                  return d.activityType === type &&
-                         eventDate >= wStart &&
-                         eventDate <= wEnd;
-                }).length;
-              });
-              return Math.max(...typeWeeks, 1);
-            }), 1);
+// Grids with more cells than this are drawn on a canvas; one SVG rect per cell makes
+// hover and tooltips crawl at tens of thousands of nodes
+const CANVAS_CELL_THRESHOLD = 5000;
 
-            intensity = weekEvents.length / maxEvents;
-          }
+// Status color of a cell faded by its intensity (minimum 0.3 opacity) when the gradient
+// is on. Accessibility patterns replace the flat color and fade the same way.
+const statusFill = (cell, showGradient, showAccessibilityPatterns) => {
+  if (showAccessibilityPatterns) {
+    return { fill: `url(#pattern-${cell.status})`, opacity: showGradient ? Math.max(0.3, cell.intensity) : 1 };
+  }
+
+  const baseColor = statusColorMap[cell.status];
+  if (!showGradient) return { fill: baseColor, opacity: 1 };
+
+  // Convert hex to rgb and apply opacity based on intensity
+  const hex = baseColor.replace('#', '');
+  const r = parseInt(hex.substr(0, 2), 16);
+  const g = parseInt(hex.substr(2, 2), 16);
+  const b = parseInt(hex.substr(4, 2), 16);
+  const alpha = Math.max(0.3, cell.intensity);
+
+  return { fill: `rgba(${r}, ${g}, ${b}, ${alpha})`, opacity: 1 };
+};
+
+// Failure-rate color scale: green at no failures, yellow at the warning threshold and
+// red from the fail threshold up
+const failureRateScale = (thresholds) => scaleLinear({
+  domain: [0, thresholds.warning / 100, thresholds.fail / 100],
+  range: [statusColorMap.success, statusColorMap.warning, statusColorMap.fail],
+  clamp: true
+});
+
+// One-line explanation of a cell status rule for the legend
+const describeStatusRule = (rule, thresholds) => {
+  switch (rule) {
+    case 'majority':
+      return 'Cells show the status of most of their events; ties go to the worse status';
+    case 'thresholds':
+      return `Cells fail from ${thresholds.fail}% failed events and warn from ${thresholds.warning}%`;
+    case 'failureRate':
+      return `Cell color follows the share of failed events, fully red from ${thresholds.fail}%`;
+    default:
+      return 'Cells show their worst status: a single failed event marks a cell as failed';
+  }
+};
+
+// Heatmap intensity legend: the color scale between the real counts at its ends, or one
+// swatch per quantile bin, plus what the scale is relative to
+const IntensityLegend = ({ legend, colorScale }) => {
+  if (legend.bins) {
+    const color = intensityColorScale(colorScale);
+    return (
+      <div className="intensity-legend">
+        <div className="intensity-bins">
+          {legend.bins.map(bin => (
+            <span key={bin.from} className="intensity-bin">
+              <span className="intensity-bin-swatch" style={{ background: color(bin.intensity) }} />
+              {bin.from === bin.to ? bin.from : `${bin.from}–${bin.to}`}
+            </span>
+          ))}
+        </div>
+        <small>{legend.note}</small>
+      </div>
+    );
+  }
+  return (
+    <div className="intensity-legend">
+      <div className="intensity-scale">
+        <span>{legend.low}</span>
+        <div className="intensity-gradient" style={{ background: colorScaleGradient(colorScale) }}></div>
+        <span>{legend.high}</span>
+      </div>
+      <small>{legend.note}</small>
+    </div>
+  );
+};
+
+// SVG accessibility patterns referenced by statusFill, one per status
+const AccessibilityPatternDefs = () => (
+  <defs>
+    <pattern id="pattern-success" patternUnits="userSpaceOnUse" width="4" height="4">
+      <rect width="4" height="4" fill={statusColorMap.success} />
+      <path d="M 0,4 l 4,-4 M -1,1 l 2,-2 M 3,5 l 2,-2" stroke="white" strokeWidth="0.5" />
+    </pattern>
+    <pattern id="pattern-warning" patternUnits="userSpaceOnUse" width="4" height="4">
+      <rect width="4" height="4" fill={statusColorMap.warning} />
+      <circle cx="2" cy="2" r="0.5" fill="white" />
+    </pattern>
+    <pattern id="pattern-fail" patternUnits="userSpaceOnUse" width="4" height="4">
+      <rect width="4" height="4" fill={statusColorMap.fail} />
+      <path d="M 1,1 l 2,2 M 1,3 l 2,-2" stroke="white" strokeWidth="0.5" />
+    </pattern>
+  </defs>
+);
+
+// Difference mode colors: more events than the comparison range, fewer, or unchanged
+const changeColorMap = {
+  more: '#2563eb',
+  fewer: '#f97316',
+  same: '#9ca3af'
+};
+
+// Cells are drawn when they have events, or comparison events in difference mode
+const cellHasEvents = (cell) => Boolean(cell.status || cell.comparisonCount);
+
+// Canvas versions of the SVG accessibility <pattern> defs (AccessibilityPatternDefs)
+const createCanvasPatterns = (context) => {
+  const patterns = {};
+  Object.entries(statusColorMap).forEach(([status, color]) => {
+    const tile = document.createElement('canvas');
+    tile.width = 4;
+    tile.height = 4;
+    const tileContext = tile.getContext('2d');
+    tileContext.fillStyle = color;
+    tileContext.fillRect(0, 0, 4, 4);
+    tileContext.strokeStyle = 'white';
+    tileContext.fillStyle = 'white';
+    tileContext.lineWidth = 0.5;
+    tileContext.beginPath();
+    if (status === 'success') {
+      tileContext.moveTo(0, 4); tileContext.lineTo(4, 0);
+      tileContext.moveTo(-1, 1); tileContext.lineTo(1, -1);
+      tileContext.moveTo(3, 5); tileContext.lineTo(5, 3);
+      tileContext.stroke();
+    } else if (status === 'warning') {
+      tileContext.arc(2, 2, 0.5, 0, Math.PI * 2);
+      tileContext.fill();
+    } else {
+      tileContext.moveTo(1, 1); tileContext.lineTo(3, 3);
+      tileContext.moveTo(1, 3); tileContext.lineTo(3, 1);
+      tileContext.stroke();
+    }
+    patterns[status] = context.createPattern(tile, 'repeat');
+  });
+  return patterns;
+};
+
+// Canvas renderer for large heatmaps. Draws the grid lines and cells exactly like the SVG
+// version and hit-tests the pointer against the band scales for tooltips and clicks.
+// Cells must be ordered row by row: activity type (y domain) major, period (x domain) minor.
+const HeatmapCanvas = ({
+  cells,
+  xScale,
+  yScale,
+  width,
+  height,
+  left,
+  top,
+  getCellFill,
+  showAccessibilityPatterns,
+  onCellHover,
+  onCellLeave,
+  onCellClick
+}) => {
+  const canvasRef = useRef(null);
+  const hoveredRef = useRef(null);
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    const context = canvas && canvas.getContext && canvas.getContext('2d');
+    if (!context) return;
+
+    // Render at device resolution so cells stay as crisp as the SVG ones
+    const ratio = window.devicePixelRatio || 1;
+    canvas.width = Math.round(width * ratio);
+    canvas.height = Math.round(height * ratio);
+    context.setTransform(ratio, 0, 0, ratio, 0, 0);
+    context.clearRect(0, 0, width, height);
+
+    context.strokeStyle = '#f3f4f6';
+    context.lineWidth = 0.5;
+    context.beginPath();
+    xScale.domain().forEach(period => {
+      const x = xScale(period) || 0;
+      context.moveTo(x, 0);
+      context.lineTo(x, height);
+    });
+    yScale.domain().forEach(row => {
+      const y = yScale(row) || 0;
+      context.moveTo(0, y);
+      context.lineTo(width, y);
+    });
+    context.stroke();
+
+    const patterns = showAccessibilityPatterns ? createCanvasPatterns(context) : null;
+    const cellWidth = xScale.bandwidth();
+    const cellHeight = yScale.bandwidth();
+
+    context.strokeStyle = '#ffffff';
+    context.lineWidth = 1;
+    cells.forEach(cell => {
+      if (!cellHasEvents(cell)) return;
+
+      const x = (xScale(cell.period) || 0) + cellWidth * 0.1;
+      const y = (yScale(cell.row) || 0) + cellHeight * 0.1;
+      const { fill, opacity } = getCellFill(cell);
+
+      context.beginPath();
+      if (context.roundRect) {
+        context.roundRect(x, y, cellWidth * 0.8, cellHeight * 0.8, 2);
+      } else {
+        context.rect(x, y, cellWidth * 0.8, cellHeight * 0.8);
+      }
+      context.globalAlpha = opacity;
+      context.fillStyle = patterns && cell.status ? patterns[cell.status] : fill;
+      context.fill();
+      context.globalAlpha = 1;
+      context.stroke();
+    });
+  }, [cells, xScale, yScale, width, height, getCellFill, showAccessibilityPatterns]);
+
+  // Cell under a canvas point, only when it falls on the drawn rect (not the padding)
+  const cellAt = (x, y) => {
+    const periods = xScale.domain();
+    const rowKeys = yScale.domain();
+    if (periods.length === 0 || rowKeys.length === 0) return null;
+
+    const column = Math.floor((x - (xScale(periods[0]) || 0)) / xScale.step());
+    const row = Math.floor((y - (yScale(rowKeys[0]) || 0)) / yScale.step());
+    if (column < 0 || column >= periods.length || row < 0 || row >= rowKeys.length) return null;
+
+    const offsetX = x - (xScale(periods[column]) || 0);
+    const offsetY = y - (yScale(rowKeys[row]) || 0);
+    if (offsetX < xScale.bandwidth() * 0.1 || offsetX > xScale.bandwidth() * 0.9 ||
+        offsetY < yScale.bandwidth() * 0.1 || offsetY > yScale.bandwidth() * 0.9) {
+      return null;
+    }
+
+    const cell = cells[row * periods.length + column];
+    return cell && cellHasEvents(cell) ? cell : null;
+  };
+
+  const canvasPoint = (event) => {
+    const bounds = event.currentTarget.getBoundingClientRect();
+    return { x: event.clientX - bounds.left, y: event.clientY - bounds.top };
+  };
+
+  const handleMouseMove = (event) => {
+    const point = canvasPoint(event);
+    const cell = cellAt(point.x, point.y);
+    if (cell === hoveredRef.current) return;
+
+    hoveredRef.current = cell;
+    event.currentTarget.style.cursor = cell ? 'pointer' : 'default';
+    if (cell) {
+      onCellHover(cell, { x: point.x + left, y: point.y + top });
+    } else {
+      onCellLeave();
+    }
+  };
+
+  const handleMouseLeave = () => {
+    hoveredRef.current = null;
+    onCellLeave();
+  };
+
+  const handleClick = (event) => {
+    const point = canvasPoint(event);
+    const cell = cellAt(point.x, point.y);
+    if (cell) {
+      event.stopPropagation();
+      onCellClick(cell);
+    }
+  };
+
+  return (
+    <canvas
+      ref={canvasRef}
+      className="heatmap-canvas"
+      style={{ left, top, width, height }}
+      onMouseMove={handleMouseMove}
+      onMouseLeave={handleMouseLeave}
+      onClick={handleClick}
+    />
+  );
+};
+
+// Heatmap grid before the first query result arrives
+const emptyHeatmapGrid = { rowValues: [], otherValue: null, periods: [], cells: [], difference: false };
+
+const HeatmapChart = memo(withTooltip(({
+  aggregation,
+  width = 1000,
+  height = 500,
+  showTooltip,
+  hideTooltip,
+  tooltipData,
+  tooltipTop,
+  tooltipLeft,
+  onCellClick,
+  showGradient = true,
+  showAccessibilityPatterns = false,
+  granularity, // Added granularity prop
+  timeZone = LOCAL_TIMEZONE,
+  comparisonLabel = null,
+  showDifference = false,
+  anomalies = null,
+  statusRule = 'worst',
+  failureThresholds = defaultFailureThresholds,
+  normalization = 'row',
+  quantileBins = 5,
+  colorScale = defaultColorScale,
+  onIntensityLegendChange,
+  rowSort = 'appearance',
+  categoryOf = null,
+  rowDimension = 'activityType',
+  topN = 0
+}) => {
+  const margin = { top: 80, right: 40, bottom: 60, left: 220 };
+  const xMax = width - margin.left - margin.right;
+  const yMax = height - margin.top - margin.bottom;
+
+  // The grid comes from the aggregation worker; the previous grid stays visible while it
+  // computes. Difference mode colors each cell by its change against the comparison range.
+  const gridQuery = useAggregationQuery(aggregation, 'heatmapGrid', {
+    granularity,
+    dimension: rowDimension,
+    topN,
+    difference: showDifference
+  }, emptyHeatmapGrid);
+  const { result: grid, events: indexedEvents } = gridQuery;
+  const computing = aggregation.computing || gridQuery.computing;
+  const differenceMode = grid.difference;
+  // Periods are labelled by the granularity the shown grid was built for
+  const gridGranularity = grid.granularity || granularity;
+  const { periods } = grid;
+  const weeks = useMemo(() => periods.map(period => parseISO(period)), [periods]);
+
+  // Sorted rows, grouped under category rows when categories are on; collapsed
+  // categories show one summary row instead of their activity types
+  const [collapsedCategories, setCollapsedCategories] = useState(() => new Set());
+  const arranged = useMemo(() => (
+    arrangeHeatmapRows(grid, {
+      sortBy: rowSort,
+      categoryOf,
+      collapsed: collapsedCategories,
+      statusRule,
+      thresholds: failureThresholds
+    })
+  ), [grid, rowSort, categoryOf, collapsedCategories, statusRule, failureThresholds]);
+  const { rows } = arranged;
+  const rowKeys = useMemo(() => rows.map(row => row.key), [rows]);
+  const categoryNames = useMemo(() => rows.filter(row => row.kind === 'category').map(row => row.category), [rows]);
+  const allCollapsed = categoryNames.length > 0 && categoryNames.every(name => collapsedCategories.has(name));
+
+  const toggleCategory = useCallback((category) => {
+    setCollapsedCategories(current => {
+      const next = new Set(current);
+      if (next.has(category)) next.delete(category); else next.add(category);
+      return next;
+    });
+  }, []);
+
+  const xScale = useMemo(() => scaleBand({
+    domain: periods,
+    range: [0, xMax],
+    padding: 0.02
+  }), [periods, xMax]);
+
+  const yScale = useMemo(() => scaleBand({
+    domain: rowKeys,
+    range: [0, yMax],
+    padding: 0.02
+  }), [rowKeys, yMax]);
+
+  // Intensities under the chosen normalization; the legend with their real counts goes
+  // up to the page legend (difference mode fades by change instead)
+  const { cells: normalizedCells, legend: intensityLegend } = useMemo(() => (
+    normalizeHeatmapIntensity(arranged.cells, normalization, quantileBins)
+  ), [arranged, normalization, quantileBins]);
+  useEffect(() => {
+    if (onIntensityLegendChange) onIntensityLegendChange(differenceMode ? null : intensityLegend);
+  }, [onIntensityLegendChange, differenceMode, intensityLegend]);
+
+  // Resolve the cells' event indices against the events the index was built from, and
+  // roll each cell's status counts up by the active status rule. The row value titles the
+  // tooltip and the details modal like an activity type does in the other charts.
+  const gridData = useMemo(() => (
+    normalizedCells.map(({ eventIndices, ...cell }) => ({
+      ...cell,
+      activityType: cell.rowValue,
+      status: ruleStatus({ ...cell, total: cell.count }, statusRule, failureThresholds),
+      failureRate: cell.count > 0 ? cell.fail / cell.count : 0,
+      events: eventIndices.map(i => indexedEvents[i])
+    }))
+  ), [normalizedCells, indexedEvents, statusRule, failureThresholds]);
+
+  const failureColor = useMemo(() => failureRateScale(failureThresholds), [failureThresholds]);
+  const intensityColor = useMemo(() => intensityColorScale(colorScale), [colorScale]);
+
+  // A cell's fill and opacity (see statusFill). In difference mode the color is the
+  // direction of the change and the gradient fades by its size. The failure-rate rule and
+  // the sequential and diverging color scales give way to the accessibility patterns.
+  const getCellFill = useCallback((cell) => {
+    if (differenceMode) {
+      const change = cell.delta > 0 ? 'more' : cell.delta < 0 ? 'fewer' : 'same';
+      return { fill: changeColorMap[change], opacity: showGradient ? Math.max(0.15, cell.changeIntensity) : 1 };
+    }
+    if (statusRule === 'failureRate' && !showAccessibilityPatterns) {
+      return {
+        fill: failureColor(cell.failureRate),
+        opacity: showGradient ? Math.max(0.3, cell.intensity) : 1
+      };
+    }
+    if (colorScale.type !== 'status' && !showAccessibilityPatterns) {
+      return { fill: intensityColor(cell.intensity), opacity: 1 };
+    }
+    return statusFill(cell, showGradient, showAccessibilityPatterns);
+  }, [differenceMode, showAccessibilityPatterns, showGradient, statusRule, failureColor, colorScale.type, intensityColor]);
+
+  // Cells without current events only show their comparison in the tooltip
+  const handleCellClick = useCallback((cell) => {
+    if (cell.status) onCellClick(cell);
+  }, [onCellClick]);
+
+  const useCanvas = gridData.length > CANVAS_CELL_THRESHOLD;
+  const tooltipChange = tooltipData && differenceMode ? percentChange(tooltipData.count, tooltipData.comparisonCount) : null;
+
+  return (
+    <div className="heatmap-container">
+      <div className="chart-header">
+        <h3>{rowDimension === 'activityType' ? 'Activity Timeline Heatmap' : `${heatmapDimensions.find(option => option.id === rowDimension).label} Activity Heatmap`}</h3>
+        <div className="chart-controls">
+          {comparisonLabel && (
+            <span className="chart-comparison">
+              {differenceMode && (
+                <>
+                  <span className="comparison-swatch" style={{ backgroundColor: changeColorMap.more }} /> more
+                  <span className="comparison-swatch" style={{ backgroundColor: changeColorMap.fewer }} /> fewer
+                </>
+              )}
+              {' '}vs {comparisonLabel}
+            </span>
+          )}
+          <AnomalyCount anomalies={anomalies} />
+          {categoryNames.length > 0 && (
+            <button
+              className="category-toggle"
+              onClick={() => setCollapsedCategories(allCollapsed ? new Set() : new Set(categoryNames))}
+            >
+              {allCollapsed ? 'Expand all' : 'Collapse all'}
+            </button>
+          )}
+          {computing && (
+            <span className="chart-computing">
+              <RefreshCw size={12} className="spinning" /> Computing…
+            </span>
+          )}
+          <button className="chart-control-btn" title="Export Chart">
+            <Download size={16} />
+          </button>
+          <button className="chart-control-btn" title="Fullscreen">
+            <Maximize2 size={16} />
+          </button>
+        </div>
+      </div>
+
+      <div className="heatmap-plot">
+        <svg width={width} height={height} style={{ backgroundColor: '#fafafa' }}>
+          <AccessibilityPatternDefs />
+
+          <g transform={`translate(${margin.left}, ${margin.top})`}>
+            {/* Category rows: a band across the plot, clickable label to collapse or expand */}
+            {rows.filter(row => row.kind === 'category').map(row => (
+              <rect
+                key={`band-${row.key}`}
+                className="category-band"
+                x={-margin.left + 8}
+                y={yScale(row.key) || 0}
+                width={xMax + margin.left - 8}
+                height={yScale.bandwidth()}
+              />
+            ))}
+
+            <text x={-10} y={-50} textAnchor="end" className="axis-title" fontSize={11}>
+              {heatmapDimensions.find(option => option.id === rowDimension).label}
+            </text>
+
+            {/* Y-axis labels (row values and categories) */}
+            {rows.map(row => (row.kind === 'category' ? (
+              <text
+                key={row.key}
+                x={-10}
+                y={(yScale(row.key) || 0) + yScale.bandwidth() / 2}
+                textAnchor="end"
+                dominantBaseline="middle"
+                className="axis-label category-label"
+                fontSize={11}
+                onClick={() => toggleCategory(row.category)}
+              >
+                {row.collapsed ? '▸' : '▾'} {row.label} ({row.size})
+              </text>
+            ) : (
+              <text
+                key={row.key}
+                x={-10}
+                y={(yScale(row.key) || 0) + yScale.bandwidth() / 2}
+                textAnchor="end"
+                dominantBaseline="middle"
+                className="axis-label activity-label"
+                fontSize={11}
+              >
+                {row.label}
+              </text>
+            )))}
+
+            {/* X-axis labels - Dynamic based on granularity */}
+            {(() => {
+              if (gridGranularity === 'yearly') {
+                const years = periods;
+                return years.map((year) => (
+                  <g key={year}>
+                    <text
+                      x={(xScale(year) || 0) + xScale.bandwidth() / 2}
+                      y={-20}
+                      textAnchor="middle"
+                      className="axis-label year-label"
+                      fontSize={14}
+                      fill="#374151"
+                      fontWeight="600"
+                    >
+                      {year}
+                    </text>
+                  </g>
+                ));
+              } else if (gridGranularity === 'hourly') {
+                const hours = periods;
+                return hours.map((hour, i) => {
+                  if (i % 4 === 0) { // Show every 4th hour to avoid overcrowding
+                    return (
+                      <g key={hour}>
+                        <text
+                          x={(xScale(hour) || 0) + xScale.bandwidth() / 2}
+                          y={-35}
+                          textAnchor="middle"
+                          className="axis-label"
+                          fontSize={10}
+                          fill="#374151"
+                        >
+                          {format(parseISO(hour + ':00:00'), 'MMM dd')}
+                        </text>
+                        <text
+                          x={(xScale(hour) || 0) + xScale.bandwidth() / 2}
+                          y={-20}
+                          textAnchor="middle"
+                          className="axis-label hour-label"
+                          fontSize={9}
+                          fill="#6b7280"
+                        >
+                          {format(parseISO(hour + ':00:00'), 'HH:mm')}
+                        </text>
+                      </g>
+                    );
+                  }
+                  return null;
+                });
+              } else if (gridGranularity === 'daily') {
+                return periods.map((date, i) => {
+                  if (i % 3 === 0) {
+                    return (
+                      <g key={date}>
+                        <text
+                          x={(xScale(date) || 0) + xScale.bandwidth() / 2}
+                          y={-20}
+                          textAnchor="middle"
+                          className="axis-label"
+                          fontSize={10}
+                          fill="#374151"
+                        >
+                          {format(parseISO(date), 'MMM dd')}
+                        </text>
+                      </g>
+                    );
+                  }
+                  return null;
+                });
+              } else if (gridGranularity === 'monthly') {
+                const months = periods;
+                return months.map((month) => (
+                  <g key={month}>
+                    <text
+                      x={(xScale(month) || 0) + xScale.bandwidth() / 2}
+                      y={-35}
+                      textAnchor="middle"
+                      className="axis-label month-label"
+                      fontSize={12}
+                      fill="#374151"
+                    >
+                      {format(parseISO(month + '-01'), 'MMM')}
+                    </text>
+                    <text
+                      x={(xScale(month) || 0) + xScale.bandwidth() / 2}
+                      y={-20}
+                      textAnchor="middle"
+                      className="axis-label year-label"
+                      fontSize={10}
+                      fill="#6b7280"
+                    >
+                      {format(parseISO(month + '-01'), 'yyyy')}
+                    </text>
+                  </g>
+                ));
+              } else { // weekly or other
+                return weeks.map((week, i) => {
+                  if (i % 2 === 0) {
+                    return (
+                      <g key={format(week, 'yyyy-MM-dd')}>
+                        <text
+                          x={(xScale(format(week, 'yyyy-MM-dd')) || 0) + xScale.bandwidth() / 2}
+                          y={-35}
+                          textAnchor="middle"
+                          className="axis-label month-label"
+                          fontSize={12}
+                          fill="#374151"
+                        >
+                          {format(week, 'MMM')}
+                        </text>
+                        <text
+                          x={(xScale(format(week, 'yyyy-MM-dd')) || 0) + xScale.bandwidth() / 2}
+                          y={-20}
+                          textAnchor="middle"
+                          className="axis-label year-label"
+                          fontSize={10}
+                          fill="#6b7280"
+                        >
+                          {format(week, 'yyyy')}
+                        </text>
+                      </g>
+                    );
+                  }
+                  return null;
+                });
+              }
+            })()}
+
+            {/* Anomalous periods: a band behind the column and a marker above it */}
+            {anomalies && periods.filter(period => anomalies.has(period)).map(period => (
+              <g key={`anomaly-${period}`} className={`anomaly-column ${anomalies.get(period).direction}`}>
+                <rect className="anomaly-band" x={xScale(period) || 0} y={0} width={xScale.bandwidth()} height={yMax} />
+                <rect className="anomaly-marker" x={xScale(period) || 0} y={-10} width={xScale.bandwidth()} height={5} rx={1} />
+              </g>
+            ))}
+
+            {/* Grid lines (drawn by the canvas renderer when it is active) */}
+            {!useCanvas && <g className="grid-lines">
+              {(() => {
+                if (gridGranularity === 'yearly') {
+                  const years = periods;
+                  return years.map((year, i) => (
+                    <line
+                      key={`v-${i}`}
+                      x1={xScale(year) || 0}
+                      y1={0}
+                      x2={xScale(year) || 0}
+                      y2={yMax}
+                      stroke="#f3f4f6"
+                      strokeWidth={0.5}
+                    />
+                  ));
+                } else if (gridGranularity === 'hourly') {
+                  const hours = periods;
+                  return hours.map((hour, i) => (
+                    <line
+                      key={`v-${i}`}
+                      x1={xScale(hour) || 0}
+                      y1={0}
+                      x2={xScale(hour) || 0}
+                      y2={yMax}
+                      stroke="#f3f4f6"
+                      strokeWidth={0.5}
+                    />
+                  ));
+                } else if (gridGranularity === 'daily') {
+                  return periods.map((date, i) => (
+                    <line
+                      key={`v-${i}`}
+                      x1={xScale(date) || 0}
+                      y1={0}
+                      x2={xScale(date) || 0}
+                      y2={yMax}
+                      stroke="#f3f4f6"
+                      strokeWidth={0.5}
+                    />
+                  ));
+                } else if (gridGranularity === 'monthly') {
+                  const months = periods;
+                  return months.map((month, i) => (
+                    <line
+                      key={`v-${i}`}
+                      x1={xScale(month) || 0}
+                      y1={0}
+                      x2={xScale(month) || 0}
+                      y2={yMax}
+                      stroke="#f3f4f6"
+                      strokeWidth={0.5}
+                    />
+                  ));
+                } else { // weekly or other
+                  return weeks.map((week, i) => (
+                    <line
+                      key={`v-${i}`}
+                      x1={xScale(format(week, 'yyyy-MM-dd')) || 0}
+                      y1={0}
+                      x2={xScale(format(week, 'yyyy-MM-dd')) || 0}
+                      y2={yMax}
+                      stroke="#f3f4f6"
+                      strokeWidth={0.5}
+                    />
+                  ));
+                }
+              })()}
+              {rowKeys.map((key, i) => (
+                <line
+                  key={`h-${i}`}
+                  x1={0}
+                  y1={yScale(key) || 0}
+                  x2={xMax}
+                  y2={yScale(key) || 0}
+                  stroke="#f3f4f6"
+                  strokeWidth={0.5}
+                />
+              ))}
+            </g>}
+
+            {/* Heatmap cells - Optimized rendering */}
+            {useMemo(() => {
+              if (useCanvas) return null;
+
+              const handleShowTooltip = (event, cell) => {
+                const point = localPoint(event) || { x: 0, y: 0 };
+                showTooltip({
+                  tooltipData: cell,
+                  tooltipTop: point.y,
+                  tooltipLeft: point.x,
+                });
+              };
+
+              const handleHideTooltip = () => {
+                hideTooltip();
+              };
+
+              return gridData.map((cell, index) => {
+                if (!cellHasEvents(cell)) return null;
+
+                const x = xScale(cell.period) || 0;
+                const y = yScale(cell.row) || 0;
+                const width = xScale.bandwidth();
+                const height = yScale.bandwidth();
+                const { fill, opacity } = getCellFill(cell);
+
+                return (
+                  <rect
+                    key={`${cell.row}-${cell.period}-${index}`}
+                    x={x + width * 0.1}
+                    y={y + height * 0.1}
+                    width={width * 0.8}
+                    height={height * 0.8}
+                    fill={fill}
+                    fillOpacity={opacity}
+                    stroke="#ffffff"
+                    strokeWidth={1}
+                    rx={2}
+                    ry={2}
+                    onMouseEnter={(event) => handleShowTooltip(event, cell)}
+                    onMouseLeave={handleHideTooltip}
+                    onClick={(event) => {
+                      event.stopPropagation();
+                      handleCellClick(cell);
+                    }}
+                    style={{ cursor: cell.status ? 'pointer' : 'default' }}
+                  />
+                );
+              });
+            }, [useCanvas, gridData, xScale, yScale, getCellFill, showTooltip, hideTooltip, handleCellClick])}
+          </g>
+        </svg>
+
+        {useCanvas && (
+          <HeatmapCanvas
+            cells={gridData}
+            xScale={xScale}
+            yScale={yScale}
+            width={xMax}
+            height={yMax}
+            left={margin.left}
+            top={margin.top}
+            getCellFill={getCellFill}
+            showAccessibilityPatterns={showAccessibilityPatterns && !differenceMode}
+            onCellHover={(cell, point) => showTooltip({ tooltipData: cell, tooltipTop: point.y, tooltipLeft: point.x })}
+            onCellLeave={hideTooltip}
+            onCellClick={handleCellClick}
+          />
+        )}
+      </div>
+
+      {tooltipData && (
+        <Tooltip
+          top={tooltipTop}
+          left={tooltipLeft}
+          style={{
+            ...defaultStyles,
+            backgroundColor: 'rgba(0, 0, 0, 0.95)',
+            color: 'white',
+            border: 'none',
+            borderRadius: '8px',
+            padding: '12px 16px',
+            fontSize: '13px',
+            boxShadow: '0 10px 15px -3px rgba(0, 0, 0, 0.1)',
+            maxWidth: '250px'
+          }}
+        >
+          <div className="tooltip-content">
+            <div className="tooltip-header">
+              <strong>{tooltipData.activityType}</strong>
+              {tooltipData.status && (
+                <span className="tooltip-status" style={{ color: statusColorMap[tooltipData.status] }}>
+                  {statusIcons[tooltipData.status]} {tooltipData.status.toUpperCase()}
+                </span>
+              )}
+            </div>
+            <div className="tooltip-body">
+              <p>📅 {tooltipData.periodLabel} ({timeZoneLabel(timeZone)})</p>
+              <p>📊 {tooltipData.count} events</p>
+              {tooltipData.size > 0 && <p>🗂️ Summary of {tooltipData.size} {heatmapDimensions.find(option => option.id === rowDimension).plural}</p>}
+              {tooltipData.count > 0 && (
+                <p>
+                  ✅ {tooltipData.success} · ⚠️ {tooltipData.warning} · ❌ {tooltipData.fail}
+                  {' '}({Math.round(tooltipData.failureRate * 1000) / 10}% failed)
+                </p>
+              )}
+              {tooltipData.delta !== undefined ? (
+                <p>
+                  ↔️ Comparison: {tooltipData.comparisonCount} ({tooltipData.delta > 0 ? '+' : ''}{tooltipData.delta}
+                  {tooltipChange !== null && `, ${tooltipChange > 0 ? '+' : ''}${tooltipChange}%`})
+                </p>
+              ) : (
+                <p>
+                  💪 Intensity: {Math.round(tooltipData.intensity * 100)}%
+                  {' '}({intensityNormalizations.find(option => option.id === normalization).label.toLowerCase()})
+                </p>
+              )}
+              <AnomalyNote anomaly={anomalies && anomalies.get(tooltipData.period)} />
+              {tooltipData.status && !differenceMode && (
+                <small className="tooltip-rule">
+                  {cellStatusRules.find(rule => rule.id === statusRule).label}: {describeStatusRule(statusRule, failureThresholds)}
+                </small>
+              )}
+              {tooltipData.status && <small>Click for detailed view</small>}
+            </div>
+          </div>
+        </Tooltip>
+      )}
+    </div>
+  );
+}));
+
+// Working hours for the punchcard; anything else, and weekends, is shaded as off-hours
+const WORK_HOURS = { start: 8, end: 18 };
+
+const isOffHours = (weekday, hour) => weekday >= 5 || hour < WORK_HOURS.start || hour >= WORK_HOURS.end;
+
+const punchcardSplits = [
+  { id: null, label: 'None' },
+  { id: 'activityType', label: 'Activity type' },
+  { id: 'status', label: 'Status' }
+];
+
+// Punchcard before the first query result arrives
+const emptyPunchcard = { splitBy: null, groups: [] };
+
+// Day-of-week x hour-of-day punchcard. Circle size is the cell's share of the busiest
+// cell in its grid and the color is its worst status, as in the heatmap. Split mode draws
+// one grid per activity type or status.
+const PunchcardChart = memo(withTooltip(({
+  aggregation,
+  width = 1000,
+  height = 500,
+  showTooltip,
+  hideTooltip,
+  tooltipData,
+  tooltipTop,
+  tooltipLeft,
+  onCellClick,
+  showGradient = true,
+  showAccessibilityPatterns = false,
+  timeZone = LOCAL_TIMEZONE
+}) => {
+  const [splitBy, setSplitBy] = useState(null);
+  const margin = { top: 50, right: 40, bottom: 30, left: 120 };
+  const xMax = width - margin.left - margin.right;
+
+  const punchcard = useAggregationQuery(aggregation, 'punchcard', { splitBy }, emptyPunchcard);
+  const { result: { splitBy: resultSplitBy, groups: resultGroups }, events: indexedEvents } = punchcard;
+  const computing = aggregation.computing || punchcard.computing;
+  const groups = useMemo(() => (
+    resultGroups.map(group => ({
+      ...group,
+      label: resultSplitBy === 'status' ? `${statusIcons[group.group]} ${group.group}` : group.group || 'All activity',
+      cells: group.cells.map(({ eventIndices, ...cell }) => ({
+        ...cell,
+        activityType: resultSplitBy === 'activityType' ? cell.group : 'All activity',
+        period: `${cell.weekday}-${cell.hour}`,
+        periodLabel: `${punchcardWeekdays[cell.weekday]}s ${String(cell.hour).padStart(2, '0')}:00–${String(cell.hour + 1).padStart(2, '0')}:00`,
+        events: eventIndices.map(i => indexedEvents[i])
+      }))
+    }))
+  ), [resultGroups, resultSplitBy, indexedEvents]);
+
+  // A single grid fills the chart; split grids get compact rows and the chart grows
+  const groupTitleHeight = splitBy ? 24 : 0;
+  const rowHeight = splitBy ? 20 : (height - margin.top - margin.bottom) / 7;
+  const groupHeight = groupTitleHeight + rowHeight * 7 + (splitBy ? 16 : 0);
+  const chartHeight = margin.top + margin.bottom + groupHeight * Math.max(groups.length, 1);
+  const columnWidth = xMax / 24;
+  const maxRadius = Math.min(columnWidth, rowHeight) * 0.45;
+
+  const totalEvents = groups.reduce((sum, group) => sum + group.total, 0);
+  const offHoursEvents = groups.reduce((sum, group) => (
+    sum + group.cells.reduce((cellSum, cell) => cellSum + (isOffHours(cell.weekday, cell.hour) ? cell.count : 0), 0)
+  ), 0);
+
+  const handleShowTooltip = (event, cell) => {
+    const point = localPoint(event) || { x: 0, y: 0 };
+    showTooltip({ tooltipData: cell, tooltipTop: point.y, tooltipLeft: point.x });
+  };
+
+  return (
+    <div className="heatmap-container punchcard-container">
+      <div className="chart-header">
+        <h3><Clock size={20} /> Weekly Punchcard</h3>
+        <div className="chart-controls">
+          {totalEvents > 0 && (
+            <span className="punchcard-off-hours">
+              <span className="punchcard-off-hours-swatch" />
+              {Math.round((offHoursEvents / totalEvents) * 100)}% off-hours
+            </span>
+          )}
+          {computing && (
+            <span className="chart-computing">
+              <RefreshCw size={12} className="spinning" /> Computing…
+            </span>
+          )}
+          <label className="chart-select">
+            Split by
+            <select value={splitBy || ''} onChange={(e) => setSplitBy(e.target.value || null)}>
+              {punchcardSplits.map(split => (
+                <option key={split.label} value={split.id || ''}>{split.label}</option>
+              ))}
+            </select>
+          </label>
+        </div>
+      </div>
+
+      <svg width={width} height={chartHeight} style={{ backgroundColor: '#fafafa' }}>
+        <AccessibilityPatternDefs />
+
+        <g transform={`translate(${margin.left}, ${margin.top})`}>
+          {/* Hour labels */}
+          {Array.from({ length: 24 }, (_, hour) => (
+            <text
+              key={`hour-${hour}`}
+              x={hour * columnWidth + columnWidth / 2}
+              y={-12}
+              textAnchor="middle"
+              className="axis-label hour-label"
+              fontSize={10}
+              fill="#6b7280"
+            >
+              {String(hour).padStart(2, '0')}
+            </text>
+          ))}
+
+          {groups.map((group, groupIndex) => (
+            <g key={group.label} transform={`translate(0, ${groupIndex * groupHeight})`}>
+              {splitBy && (
+                <text x={-margin.left + 10} y={14} fontSize={12} fontWeight="600" fill="#374151">
+                  {group.label} ({group.total})
+                </text>
+              )}
+
+              <g transform={`translate(0, ${groupTitleHeight})`}>
+                {punchcardWeekdays.map((weekday, row) => (
+                  <text
+                    key={weekday}
+                    x={-10}
+                    y={row * rowHeight + rowHeight / 2}
+                    textAnchor="end"
+                    dominantBaseline="middle"
+                    className="axis-label"
+                    fontSize={11}
+                  >
+                    {splitBy ? weekday.slice(0, 3) : weekday}
+                  </text>
+                ))}
+
+                {/* Off-hours shading and grid */}
+                {group.cells.map(cell => (
+                  <rect
+                    key={`bg-${cell.period}`}
+                    x={cell.hour * columnWidth}
+                    y={cell.weekday * rowHeight}
+                    width={columnWidth}
+                    height={rowHeight}
+                    fill={isOffHours(cell.weekday, cell.hour) ? '#eef2f7' : '#ffffff'}
+                    stroke="#f3f4f6"
+                    strokeWidth={0.5}
+                  />
+                ))}
+
+                {group.cells.map(cell => {
+                  if (!cell.status) return null;
+                  const { fill, opacity } = statusFill(cell, showGradient, showAccessibilityPatterns);
+
+                  return (
+                    <circle
+                      key={cell.period}
+                      cx={cell.hour * columnWidth + columnWidth / 2}
+                      cy={cell.weekday * rowHeight + rowHeight / 2}
+                      r={Math.max(2, Math.sqrt(cell.intensity) * maxRadius)}
+                      fill={fill}
+                      fillOpacity={opacity}
+                      stroke="#ffffff"
+                      strokeWidth={1}
+                      onMouseEnter={(event) => handleShowTooltip(event, cell)}
+                      onMouseLeave={hideTooltip}
+                      onClick={(event) => {
+                        event.stopPropagation();
+                        onCellClick(cell);
+                      }}
+                      style={{ cursor: 'pointer' }}
+                    />
+                  );
+                })}
+              </g>
+            </g>
+          ))}
+
+          <text
+            x={xMax / 2}
+            y={chartHeight - margin.top - 8}
+            textAnchor="middle"
+            fontSize={12}
+            fill="#6b7280"
+          >
+            Hour of day ({timeZoneLabel(timeZone)})
+          </text>
+        </g>
+      </svg>
+
+      {tooltipData && (
+        <Tooltip
+          top={tooltipTop}
+          left={tooltipLeft}
+          style={{
+            ...defaultStyles,
+            backgroundColor: 'rgba(0, 0, 0, 0.95)',
+            color: 'white',
+            border: 'none',
+            borderRadius: '8px',
+            padding: '12px 16px',
+            fontSize: '13px',
+            boxShadow: '0 10px 15px -3px rgba(0, 0, 0, 0.1)',
+            maxWidth: '250px'
+          }}
+        >
+          <div className="tooltip-content">
+            <div className="tooltip-header">
+              <strong>{splitBy === 'status' ? 'All activity' : tooltipData.activityType}</strong>
+              <span className="tooltip-status" style={{ color: statusColorMap[tooltipData.status] }}>
+                {statusIcons[tooltipData.status]} {tooltipData.status.toUpperCase()}
+              </span>
+            </div>
+            <div className="tooltip-body">
+              <p>📅 {tooltipData.periodLabel} ({timeZoneLabel(timeZone)})</p>
+              <p>📊 {tooltipData.count} events</p>
+              <p>💪 Intensity: {Math.round(tooltipData.intensity * 100)}%</p>
+              {isOffHours(tooltipData.weekday, tooltipData.hour) && <p>🌙 Off-hours</p>}
+              <small>Click for detailed view</small>
+            </div>
+          </div>
+        </Tooltip>
+      )}
+    </div>
+  );
+}));
+
+// Calendar color levels, lightest to darkest, per metric; days without events are gray
+const calendarMetrics = {
+  count: { label: 'Event count', colors: ['#9be9a8', '#40c463', '#30a14e', '#216e39'] },
+  failureRate: { label: 'Failure rate', colors: ['#fde2e2', '#fca5a5', '#ef4444', '#991b1b'] }
+};
+
+const CALENDAR_EMPTY_COLOR = '#ebedf0';
+
+// Calendar heatmap: one square per day in week columns (Sunday first), one block per year
+// from the first to the last event. Days are colored by event count relative to the
+// busiest day, or by failure rate; clicking a day opens the details modal.
+const CalendarChart = memo(withTooltip(({
+  aggregation,
+  width = 1000,
+  showTooltip,
+  hideTooltip,
+  tooltipData,
+  tooltipTop,
+  tooltipLeft,
+  onCellClick,
+  timeZone = LOCAL_TIMEZONE
+}) => {
+  const [metric, setMetric] = useState('count');
+  const margin = { top: 20, right: 20, bottom: 20, left: 60 };
+  const cellGap = 3;
+  const cellSize = Math.min(18, Math.floor((width - margin.left - margin.right) / 53) - cellGap);
+  const step = cellSize + cellGap;
+  const yearHeight = 7 * step + 50;
+
+  const calendar = useAggregationQuery(aggregation, 'calendarDays', null, []);
+  const { result: days, events: indexedEvents } = calendar;
+  const computing = aggregation.computing || calendar.computing;
+
+  const { years, maxCount } = useMemo(() => {
+    const byDay = new Map(days.map(day => [day.day, day]));
+    if (days.length === 0) return { years: [], maxCount: 1 };
+
+    const firstYear = Number(days[0].day.slice(0, 4));
+    const lastYear = Number(days[days.length - 1].day.slice(0, 4));
+    const calendarYears = [];
+    for (let year = firstYear; year <= lastYear; year++) {
+      const yearStart = parseISO(`${year}-01-01`);
+      calendarYears.push({
+        year,
+        days: eachDayOfInterval({ start: yearStart, end: parseISO(`${year}-12-31`) }).map(date => {
+          const day = format(date, 'yyyy-MM-dd');
+          return {
+            day,
+            column: differenceInCalendarWeeks(date, yearStart),
+            row: getDay(date),
+            data: byDay.get(day) || null
+          };
+        })
+      });
+    }
+    return { years: calendarYears, maxCount: Math.max(...days.map(day => day.count), 1) };
+  }, [days]);
+
+  const dayColor = (data) => {
+    if (!data) return CALENDAR_EMPTY_COLOR;
+    const { colors } = calendarMetrics[metric];
+    const value = metric === 'count' ? data.count / maxCount : data.failureRate;
+    if (metric === 'failureRate' && value === 0) return colors[0];
+    return colors[Math.min(colors.length - 1, Math.ceil(value * colors.length) - 1)];
+  };
+
+  // Days open the same details modal as heatmap cells
+  const toCell = (data) => ({
+    ...data,
+    activityType: 'All activity',
+    period: data.day,
+    periodLabel: format(parseISO(data.day), 'EEE, MMM dd yyyy'),
+    intensity: data.count / maxCount,
+    events: data.eventIndices.map(i => indexedEvents[i])
+  });
+
+  const handleShowTooltip = (event, data) => {
+    const point = localPoint(event) || { x: 0, y: 0 };
+    showTooltip({ tooltipData: toCell(data), tooltipTop: point.y, tooltipLeft: point.x });
+  };
+
+  const height = margin.top + margin.bottom + yearHeight * Math.max(years.length, 1);
+
+  return (
+    <div className="heatmap-container calendar-container">
+      <div className="chart-header">
+        <h3><Calendar size={20} /> Activity Calendar</h3>
+        <div className="chart-controls">
+          {computing && (
+            <span className="chart-computing">
+              <RefreshCw size={12} className="spinning" /> Computing…
+            </span>
+          )}
+          <label className="chart-select">
+            Color by
+            <select value={metric} onChange={(e) => setMetric(e.target.value)}>
+              {Object.entries(calendarMetrics).map(([id, { label }]) => (
+                <option key={id} value={id}>{label}</option>
+              ))}
+            </select>
+          </label>
+        </div>
+      </div>
+
+      <svg width={width} height={height}>
+        <g transform={`translate(${margin.left}, ${margin.top})`}>
+          {years.map((year, yearIndex) => (
+            <g key={year.year} transform={`translate(0, ${yearIndex * yearHeight})`}>
+              <text x={-margin.left + 4} y={12} fontSize={14} fontWeight="600" fill="#374151">
+                {year.year}
+              </text>
+
+              <g transform="translate(0, 34)">
+                {/* Month labels above the week column of each month's first day */}
+                {year.days.filter(day => day.day.endsWith('-01')).map(day => (
+                  <text key={day.day} x={day.column * step} y={-8} fontSize={10} fill="#6b7280">
+                    {format(parseISO(day.day), 'MMM')}
+                  </text>
+                ))}
+
+                {['Mon', 'Wed', 'Fri'].map((label, i) => (
+                  <text
+                    key={label}
+                    x={-8}
+                    y={(i * 2 + 1) * step + cellSize / 2}
+                    textAnchor="end"
+                    dominantBaseline="middle"
+                    fontSize={9}
+                    fill="#6b7280"
+                  >
+                    {label}
+                  </text>
+                ))}
+
+                {year.days.map(day => (
+                  <rect
+                    key={day.day}
+                    x={day.column * step}
+                    y={day.row * step}
+                    width={cellSize}
+                    height={cellSize}
+                    rx={2}
+                    ry={2}
+                    fill={dayColor(day.data)}
+                    className={day.data ? 'calendar-day active' : 'calendar-day'}
+                    onMouseEnter={day.data ? (event) => handleShowTooltip(event, day.data) : undefined}
+                    onMouseLeave={day.data ? hideTooltip : undefined}
+                    onClick={day.data ? (event) => {
+                      event.stopPropagation();
+                      onCellClick(toCell(day.data));
+                    } : undefined}
+                  />
+                ))}
+              </g>
+            </g>
+          ))}
+        </g>
+      </svg>
+
+      <div className="calendar-legend">
+        <span>{metric === 'count' ? 'Fewer' : 'No failures'}</span>
+        {calendarMetrics[metric].colors.map(color => (
+          <span key={color} className="calendar-legend-swatch" style={{ backgroundColor: color }} />
+        ))}
+        <span>{metric === 'count' ? 'More' : 'All failed'}</span>
+        <span className="calendar-legend-note">Days in {timeZoneLabel(timeZone)}</span>
+      </div>
+
+      {tooltipData && (
+        <Tooltip
+          top={tooltipTop}
+          left={tooltipLeft}
+          style={{
+            ...defaultStyles,
+            backgroundColor: 'rgba(0, 0, 0, 0.95)',
+            color: 'white',
+            border: 'none',
+            borderRadius: '8px',
+            padding: '12px 16px',
+            fontSize: '13px',
+            boxShadow: '0 10px 15px -3px rgba(0, 0, 0, 0.1)',
+            maxWidth: '250px'
+          }}
+        >
+          <div className="tooltip-content">
+            <div className="tooltip-header">
+              <strong>{tooltipData.periodLabel}</strong>
+              <span className="tooltip-status" style={{ color: statusColorMap[tooltipData.status] }}>
+                {statusIcons[tooltipData.status]} {tooltipData.status.toUpperCase()}
+              </span>
+            </div>
+            <div className="tooltip-body">
+              <p>📊 {tooltipData.count} events</p>
+              <p>✅ Success: {tooltipData.success}</p>
+              <p>⚠️ Warning: {tooltipData.warning}</p>
+              <p>❌ Failed: {tooltipData.fail} ({Math.round(tooltipData.failureRate * 100)}%)</p>
+              <small>Click for detailed view</small>
+            </div>
+          </div>
+        </Tooltip>
+      )}
+    </div>
+  );
+}));
+
+// Data source selection popover - edits a draft and only applies it on submit
+const DataSourcePopover = ({ config, status, label, error, onApply, onReload, onClose }) => {
+  const [draft, setDraft] = useState(config);
+
+  const updateDraft = (changes) => setDraft(prev => ({ ...prev, ...changes }));
+  const streamError = draft.streamUrl ? streamUrlError(draft.streamUrl) : null;
+  const canApply = !(draft.type === 'rest' && !draft.url) && !(draft.type === 'file' && !draft.file) && !streamError;
+
+  return (
+    <>
+      <div className="filter-overlay" onClick={onClose} />
+      <div className="data-source-popover">
+        <div className="filter-popover-header">
+          <h3><Database size={16} /> Data Source</h3>
+          <button className="close-popover" onClick={onClose}>
+            <X size={16} />
+          </button>
+        </div>
+
+        <div className="filter-popover-content">
+          <div className="filter-section compact">
+            <h4><Database size={12} /> Current Source</h4>
+            <div className={`data-source-current ${status}`}>
+              <strong>{dataSourceTypes[config.type] || config.type}</strong>
+              <span>{label}</span>
+              <span className="data-source-state">
+                {status === 'loading' ? 'Loading…' : status === 'error' ? `Error: ${error.message}` : 'Ready'}
+              </span>
+            </div>
+          </div>
+
+          <div className="filter-section compact">
+            <h4><Settings size={12} /> Configure</h4>
+            <div className="customize-options compact">
+              <label className="customize-option compact">
+                <span>Source Type</span>
+                <select
+                  value={draft.type}
+                  onChange={(e) => updateDraft({ type: e.target.value })}
+                  className="time-select compact"
+                >
+                  {Object.entries(dataSourceTypes).map(([type, typeLabel]) => (
+                    <option key={type} value={type}>{typeLabel}</option>
+                  ))}
+                </select>
+              </label>
+
+              {draft.type === 'rest' && (
+                <>
+                  <label className="customize-option compact">
+                    <span>Endpoint URL</span>
+                    <input
+                      type="url"
+                      value={draft.url}
+                      placeholder="https://api.example.com/events"
+                      onChange={(e) => updateDraft({ url: e.target.value })}
+                      className="data-source-input"
+                    />
+                  </label>
+                  <label className="customize-option compact">
+                    <span>Bearer Token</span>
+                    <input
+                      type="password"
+                      value={draft.authToken}
+                      placeholder="Optional"
+                      onChange={(e) => updateDraft({ authToken: e.target.value })}
+                      className="data-source-input"
+                    />
+                  </label>
+                </>
+              )}
+
+              {draft.type === 'file' && (
+                <label className="customize-option compact">
+                  <span>Event File</span>
+                  <input
+                    type="file"
+                    accept=".json,.ndjson,.jsonl,.csv"
+                    onChange={(e) => updateDraft({ file: e.target.files[0] || null })}
+                    className="data-source-input"
+                  />
+                </label>
+              )}
+
+              {draft.type === 'generator' && (
+                <>
+                  <label className="customize-option compact">
+                    <span>Event Count</span>
+                    <input
+                      type="number"
+                      min={1}
+                      value={draft.generatorCount}
+                      onChange={(e) => updateDraft({ generatorCount: Math.max(1, Number(e.target.value) || 1) })}
+                      className="data-source-input"
+                    />
+                  </label>
+                  <label className="customize-option compact">
+                    <span>Days Back</span>
+                    <input
+                      type="number"
+                      min={1}
+                      value={draft.generatorDays}
+                      onChange={(e) => updateDraft({ generatorDays: Math.max(1, Number(e.target.value) || 1) })}
+                      className="data-source-input"
+                    />
+                  </label>
+                </>
+              )}
+            </div>
+          </div>
+
+          <div className="filter-section compact">
+            <h4><RefreshCw size={12} /> Live Stream</h4>
+            <div className="customize-options compact">
+              <label className="customize-option compact">
+                <span>Stream URL</span>
+                <input
+                  type="text"
+                  value={draft.streamUrl}
+                  placeholder="ws://localhost:8787"
+                  onChange={(e) => updateDraft({ streamUrl: e.target.value.trim() })}
+                  className="data-source-input"
+                />
+              </label>
+              {streamError ? (
+                <small className="data-source-hint invalid">{streamError}</small>
+              ) : (
+                <small className="data-source-hint">
+                  WebSocket (ws://, wss://) or Server-Sent Events (http://, https://). Used when Live is on.
+                </small>
+              )}
+            </div>
+          </div>
+
+          <div className="filter-actions compact">
+            <button className="apply-filters compact" onClick={() => onApply(draft)} disabled={!canApply}>
+              <Database size={12} />
+              Load Source
+            </button>
+            <button className="clear-filters compact" onClick={onReload}>
+              <RefreshCw size={12} />
+              Reload Current
+            </button>
+          </div>
+        </div>
+      </div>
+    </>
+  );
+};
+
+// Query bar: edits a draft query with syntax highlighting, inline errors and
+// autocomplete; the draft is applied on Enter or with the Apply button
+const QueryBar = ({ value, values, onApply }) => {
+  const [draft, setDraft] = useState(value);
+  const [cursor, setCursor] = useState(value.length);
+  const [focused, setFocused] = useState(false);
+  const [activeSuggestion, setActiveSuggestion] = useState(-1);
+  const inputRef = useRef(null);
+  const highlightRef = useRef(null);
+  const pendingCursor = useRef(null);
+
+  // Follow outside changes (chip removal, saved views, back/forward)
+  useEffect(() => {
+    setDraft(value);
+  }, [value]);
+
+  useEffect(() => {
+    if (pendingCursor.current !== null && inputRef.current) {
+      inputRef.current.setSelectionRange(pendingCursor.current, pendingCursor.current);
+      pendingCursor.current = null;
+    }
+  });
+
+  const { tokens, error } = useMemo(() => compileQuery(draft), [draft]);
+  const { from, to, suggestions } = useMemo(
+    () => (focused ? getQuerySuggestions(draft, cursor, values) : { from: 0, to: 0, suggestions: [] }),
+    [focused, draft, cursor, values]
+  );
+
+  const updateDraft = (event) => {
+    setDraft(event.target.value);
+    setCursor(event.target.selectionStart);
+    setActiveSuggestion(-1);
+  };
+
+  const acceptSuggestion = (suggestion) => {
+    const next = draft.slice(0, from) + suggestion.insert + draft.slice(to);
+    pendingCursor.current = from + suggestion.insert.length;
+    setDraft(next);
+    setCursor(pendingCursor.current);
+    setActiveSuggestion(-1);
+  };
+
+  const apply = () => {
+    if (!error) onApply(draft.trim());
+  };
+
+  const handleKeyDown = (event) => {
+    if (suggestions.length > 0 && event.key === 'ArrowDown') {
+      event.preventDefault();
+      setActiveSuggestion(prev => (prev + 1) % suggestions.length);
+    } else if (suggestions.length > 0 && event.key === 'ArrowUp') {
+      event.preventDefault();
+      setActiveSuggestion(prev => (prev <= 0 ? suggestions.length : prev) - 1);
+    } else if ((event.key === 'Tab' || event.key === 'Enter') && activeSuggestion >= 0 && suggestions[activeSuggestion]) {
+      event.preventDefault();
+      acceptSuggestion(suggestions[activeSuggestion]);
+    } else if (event.key === 'Enter') {
+      apply();
+    } else if (event.key === 'Escape') {
+      setActiveSuggestion(-1);
+      setFocused(false);
+    }
+  };
+
+  // Highlighted copy of the draft rendered behind the transparent input text
+  const renderHighlight = () => {
+    if (error) {
+      return (
+        <>
+          {draft.slice(0, error.start)}
+          <span className={`query-token-error ${error.start === error.end ? 'empty' : ''}`}>
+            {draft.slice(error.start, error.end)}
+          </span>
+          {draft.slice(error.end)}
+        </>
+      );
+    }
+
+    const segments = [];
+    let position = 0;
+    tokens.forEach((token, index) => {
+      segments.push(draft.slice(position, token.start));
+      if (token.type === 'term' && token.field) {
+        segments.push(<span key={`f${index}`} className="query-token-field">{draft.slice(token.start, token.valueStart)}</span>);
+        segments.push(<span key={`v${index}`} className="query-token-value">{draft.slice(token.valueStart, token.end)}</span>);
+      } else {
+        segments.push(<span key={index} className={`query-token-${token.type}`}>{draft.slice(token.start, token.end)}</span>);
+      }
+      position = token.end;
+    });
+    segments.push(draft.slice(position));
+    return segments;
+  };
+
+  return (
+    <div className="query-bar">
+      <div className={`query-input-wrapper ${error ? 'invalid' : ''}`}>
+        <Search size={16} className="query-bar-icon" />
+        <div className="query-field">
+          <div className="query-highlight" ref={highlightRef} aria-hidden="true">
+            {renderHighlight()}
+          </div>
+          <input
+            ref={inputRef}
+            type="text"
+            value={draft}
+            placeholder="Query events, e.g. status:fail AND user:user_13* AND NOT device:device_A"
+            spellCheck={false}
+            onChange={updateDraft}
+            onKeyDown={handleKeyDown}
+            onKeyUp={(e) => setCursor(e.currentTarget.selectionStart)}
+            onClick={(e) => setCursor(e.currentTarget.selectionStart)}
+            onScroll={(e) => {
+              highlightRef.current.scrollLeft = e.currentTarget.scrollLeft;
+            }}
+            onFocus={() => setFocused(true)}
+            onBlur={() => setFocused(false)}
+            aria-label="Event query"
+            aria-invalid={Boolean(error)}
+          />
+          {suggestions.length > 0 && (
+            <ul className="query-suggestions" role="listbox">
+              {suggestions.map((suggestion, index) => (
+                <li
+                  key={`${suggestion.kind}-${suggestion.label}`}
+                  role="option"
+                  aria-selected={index === activeSuggestion}
+                  className={`query-suggestion ${suggestion.kind} ${index === activeSuggestion ? 'active' : ''}`}
+                  // mousedown keeps focus in the input, unlike click
+                  onMouseDown={(e) => {
+                    e.preventDefault();
+                    acceptSuggestion(suggestion);
+                  }}
+                >
+                  <span>{suggestion.label}</span>
+                  {suggestion.detail && <small>{suggestion.detail}</small>}
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+        {draft && (
+          <button
+            className="query-clear"
+            onClick={() => {
+              setDraft('');
+              onApply('');
+            }}
+            title="Clear query"
+          >
+            <X size={14} />
+          </button>
+        )}
+        <button className="apply-filters compact" onClick={apply} disabled={Boolean(error) || draft.trim() === value}>
+          Apply
+        </button>
+      </div>
+      {error && (
+        <div className="query-error">
+          <AlertTriangle size={12} /> {error.message} (column {error.start + 1})
+        </div>
+      )}
+    </div>
+  );
+};
+
+const DIMENSION_FILTER_LIMIT = 8;
+
+// Multi-select filter over the distinct values of one event field, e.g. users. `values`
+// are { value, count } pairs, busiest first. The search box is a typeahead: prefix
+// matches rank first and Enter toggles the top match.
+const DimensionFilter = ({ title, icon, placeholder, values, selected, onChange }) => {
+  const [search, setSearch] = useState('');
+
+  const matches = useMemo(() => {
+    const term = search.trim().toLowerCase();
+    if (!term) {
+      // Keep the current selection on top while browsing
+      return [
+        ...values.filter(({ value }) => selected.includes(value)),
+        ...values.filter(({ value }) => !selected.includes(value))
+      ];
+    }
+    const startsWith = ({ value }) => value.toLowerCase().startsWith(term);
+    return values
+      .filter(({ value }) => value.toLowerCase().includes(term))
+      .sort((a, b) => Number(startsWith(b)) - Number(startsWith(a)));
+  }, [values, selected, search]);
+
+  const toggle = (value) => {
+    onChange(selected.includes(value) ? selected.filter(v => v !== value) : [...selected, value]);
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Enter' && matches.length > 0) {
+      e.preventDefault();
+      toggle(matches[0].value);
+      setSearch('');
+    } else if (e.key === 'Escape' && search) {
+      e.stopPropagation();
+      setSearch('');
+    }
+  };
+
+  return (
+    <div className="filter-section compact">
+      <h4>
+        {icon} {title}
+        {selected.length > 0 && (
+          <button className="dimension-filter-clear" onClick={() => onChange([])}>
+            Clear ({selected.length})
+          </button>
+        )}
+      </h4>
+      <div className="search-container compact">
+        <Search size={12} />
+        <input
+          type="text"
+          placeholder={placeholder}
+          value={search}
+          onChange={(e) => setSearch(e.target.value)}
+          onKeyDown={handleKeyDown}
+          className="search-input compact"
+        />
+      </div>
+      <div className="filter-options compact scrollable">
+        {matches.slice(0, DIMENSION_FILTER_LIMIT).map(({ value, count }) => (
+          <label key={value} className="filter-option compact">
+            <input
+              type="checkbox"
+              checked={selected.includes(value)}
+              onChange={() => toggle(value)}
+            />
+            <span className="activity-name">{value}</span>
+            <span className="activity-count">{count}</span>
+          </label>
+        ))}
+        {matches.length === 0 && (
+          <div className="more-items">No matches for "{search}"</div>
+        )}
+        {matches.length > DIMENSION_FILTER_LIMIT && (
+          <div className="more-items">
+            +{matches.length - DIMENSION_FILTER_LIMIT} more, type to narrow down
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+// Stat card change against the comparison range. `higherIsBetter` picks the color;
+// `points` shows a percentage-point difference, for rates; a null `previous` means the
+// comparison range has nothing to compare with.
+const StatDelta = ({ current, previous, higherIsBetter = true, points = false }) => {
+  let change = null;
+  if (previous !== null) {
+    change = points ? Math.round((Number(current) - Number(previous)) * 10) / 10 : percentChange(current, previous);
+  }
+
+  if (change === null) {
+    return <div className="stat-delta neutral">no events to compare</div>;
+  }
+
+  const tone = change === 0 ? 'neutral' : (change > 0) === higherIsBetter ? 'better' : 'worse';
+  return (
+    <div className={`stat-delta ${tone}`}>
+      {change > 0 ? <ArrowUp size={10} /> : change < 0 ? <ArrowDown size={10} /> : null}
+      {change > 0 ? '+' : ''}{change}{points ? ' pp' : '%'}
+      <span className="stat-delta-base">vs {previous}{points ? '%' : ''}</span>
+    </div>
+  );
+};
+
+// Saved views popover: save the current filters and chart settings under a name, then
+// switch between, rename, delete, import or export them
+const SavedViewsPopover = ({ views, currentState, onSave, onApply, onRename, onDelete, onImport, onExport, onClose }) => {
+  const [newName, setNewName] = useState('');
+  const [editing, setEditing] = useState(null); // { id, name }
+  const importRef = useRef(null);
+
+  const currentKey = JSON.stringify(sanitizeViewState(currentState));
+  const nameTaken = views.some(view => view.name.toLowerCase() === newName.trim().toLowerCase());
+
+  const save = () => {
+    if (!newName.trim()) return;
+    onSave(newName.trim());
+    setNewName('');
+  };
+
+  const commitRename = () => {
+    if (editing && editing.name.trim()) {
+      onRename(editing.id, editing.name.trim());
+    }
+    setEditing(null);
+  };
+
+  return (
+    <>
+      <div className="filter-overlay" onClick={onClose} />
+      <div className="data-source-popover saved-views-popover">
+        <div className="filter-popover-header">
+          <h3><Bookmark size={16} /> Saved Views</h3>
+          <button className="close-popover" onClick={onClose}>
+            <X size={16} />
+          </button>
+        </div>
+
+        <div className="filter-popover-content">
+          <div className="filter-section compact">
+            <h4><BookmarkPlus size={12} /> Save Current View</h4>
+            <div className="saved-views-save">
+              <input
+                type="text"
+                value={newName}
+                placeholder="e.g. Morning failures"
+                onChange={(e) => setNewName(e.target.value)}
+                onKeyDown={(e) => e.key === 'Enter' && save()}
+                className="data-source-input"
+              />
+              <button className="apply-filters compact" onClick={save} disabled={!newName.trim()}>
+                {nameTaken ? 'Overwrite' : 'Save'}
+              </button>
+            </div>
+            <small className="data-source-hint">
+              Stores filters, query, date range, granularity, view mode and chart options.
+            </small>
+          </div>
+
+          <div className="filter-section compact">
+            <h4><Bookmark size={12} /> Views ({views.length})</h4>
+            {views.length === 0 ? (
+              <p className="saved-views-empty">No saved views yet.</p>
+            ) : (
+              <ul className="saved-views-list">
+                {views.map(view => (
+                  <li
+                    key={view.id}
+                    className={`saved-view ${JSON.stringify(view.state) === currentKey ? 'active' : ''}`}
+                  >
+                    {editing && editing.id === view.id ? (
+                      <input
+                        autoFocus
+                        value={editing.name}
+                        onChange={(e) => setEditing({ ...editing, name: e.target.value })}
+                        onKeyDown={(e) => {
+                          if (e.key === 'Enter') commitRename();
+                          if (e.key === 'Escape') setEditing(null);
+                        }}
+                        onBlur={commitRename}
+                        className="data-source-input"
+                      />
+                    ) : (
+                      <button className="saved-view-name" onClick={() => onApply(view)} title="Apply this view">
+                        {JSON.stringify(view.state) === currentKey && <Check size={12} />}
+                        {view.name}
+                      </button>
+                    )}
+                    <button
+                      className="saved-view-action"
+                      onClick={() => setEditing({ id: view.id, name: view.name })}
+                      title="Rename"
+                    >
+                      <Pencil size={12} />
+                    </button>
+                    <button className="saved-view-action" onClick={() => onDelete(view)} title="Delete">
+                      <Trash2 size={12} />
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+
+          <div className="filter-actions compact">
+            <button className="clear-filters compact" onClick={() => importRef.current.click()}>
+              <Upload size={12} />
+              Import JSON
+            </button>
+            <button className="clear-filters compact" onClick={onExport} disabled={views.length === 0}>
+              <Download size={12} />
+              Export JSON
+            </button>
+            <input
+              ref={importRef}
+              type="file"
+              accept=".json,application/json"
+              style={{ display: 'none' }}
+              onChange={(e) => {
+                const file = e.target.files[0];
+                if (file) onImport(file);
+                e.target.value = '';
+              }}
+            />
+          </div>
+        </div>
+      </div>
+    </>
+  );
+};
+
+// Import dialog for dropped or picked event files: choose replace/append, show progress, then a summary
+const ImportDialog = ({ file, timeZone = LOCAL_TIMEZONE, onImport, onClose }) => {
+  const [stage, setStage] = useState('confirm'); // 'confirm' | 'importing' | 'done' | 'error'
+  const [progress, setProgress] = useState(0);
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState(null);
+
+  const runImport = async (mode) => {
+    setStage('importing');
+    try {
+      const parsed = await parseEventFile(file, { onProgress: setProgress, timeZone });
+      if (parsed.events.length > 0) {
+        onImport(parsed.events, mode, file.name);
+      }
+      setResult({ ...parsed, mode });
+      setStage('done');
+    } catch (err) {
+      setError(err);
+      setStage('error');
+    }
+  };
+
+  return (
+    <div className="modal-overlay" onClick={stage === 'importing' ? undefined : onClose}>
+      <div className="modal-content import-dialog" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <div className="modal-title-section">
+            <h3><Upload size={18} /> Import Events</h3>
+            <span className="modal-subtitle">
+              {file.name} ({(file.size / 1024).toFixed(1)} KB)
+            </span>
+          </div>
+          {stage !== 'importing' && (
+            <button className="close-button" onClick={onClose}>
+              <X size={20} />
+            </button>
+          )}
+        </div>
+
+        <div className="modal-body">
+          {stage === 'confirm' && (
+            <div className="import-options">
+              <p>Load the events from this file into the dashboard. CSV, JSON arrays and newline-delimited JSON are supported.</p>
+              <div className="import-actions">
+                <button className="action-btn primary" onClick={() => runImport('replace')}>
+                  Replace Current Data
+                </button>
+                <button className="action-btn secondary" onClick={() => runImport('append')}>
+                  Append to Current Data
+                </button>
+              </div>
+            </div>
+          )}
+
+          {stage === 'importing' && (
+            <div className="import-progress">
+              <div className="import-progress-bar">
+                <div className="import-progress-fill" style={{ width: `${Math.round(progress * 100)}%` }} />
+              </div>
+              <span>Importing… {Math.round(progress * 100)}%</span>
+            </div>
+          )}
+
+          {stage === 'done' && (
+            <div className="import-summary">
+              <div className="summary-stats">
+                <div className="summary-stat">
+                  <div className="summary-value">{importFormats[result.format]}</div>
+                  <div className="summary-label">Format</div>
+                </div>
+                <div className="summary-stat">
+                  <div className="summary-value" style={{ color: statusColorMap.success }}>{result.events.length}</div>
+                  <div className="summary-label">Accepted Rows</div>
+                </div>
+                <div className="summary-stat">
+                  <div className="summary-value" style={{ color: statusColorMap.fail }}>{result.rejected.length}</div>
+                  <div className="summary-label">Rejected Rows</div>
+                </div>
+                <div className="summary-stat">
+                  <div className="summary-value">{result.mode === 'append' ? 'Appended' : 'Replaced'}</div>
+                  <div className="summary-label">Mode</div>
+                </div>
+              </div>
+
+              {result.zoned > 0 && (
+                <p className="import-note">
+                  {result.zoned} rows had no Timestamp: their Date and Time were read as {timeZoneLabel(timeZone)} time.
+                </p>
+              )}
+
+              {result.events.length === 0 && (
+                <p className="import-warning">No valid rows were found, the current data was left unchanged.</p>
+              )}
+
+              {result.rejected.length > 0 && (
+                <div className="import-rejections">
+                  <h4>Rejected Rows</h4>
+                  <ul>
+                    {result.rejected.slice(0, 20).map(({ row, reason }) => (
+                      <li key={row}><strong>Row {row}:</strong> {reason}</li>
+                    ))}
+                  </ul>
+                  {result.rejected.length > 20 && (
+                    <div className="more-items">+{result.rejected.length - 20} more rejected rows</div>
+                  )}
+                </div>
+              )}
+            </div>
+          )}
+
+          {stage === 'error' && (
+            <div className="import-summary">
+              <p className="import-warning">Could not read {file.name}: {error.message}</p>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
 
-          return {
-            activityType,
-            period: weekKey,
-            periodLabel: format(week, 'MMM dd'),
-            status,
-            events: weekEvents,
-            count: weekEvents.length,
-            intensity
-          };
-        });
-      }).flat();
-    }
-  }, [data, granularity, activityTypes, dates, weeks]);
-
-  // Intensity color scale
-  const getIntensityColor = (status, intensity) => {
-    if (!status) return null;
-    const baseColor = statusColorMap[status];
-    if (!showGradient) return baseColor;
-
-    // Convert hex to rgb and apply opacity based on intensity
-    const hex = baseColor.replace('#', '');
-    const r = parseInt(hex.substr(0, 2), 16);
-    const g = parseInt(hex.substr(2, 2), 16);
-    const b = parseInt(hex.substr(4, 2), 16);
-    const alpha = Math.max(0.3, intensity); // Minimum 0.3 opacity
-
-    return `rgba(${r}, ${g}, ${b}, ${alpha})`;
+// Data quality report: issue counts per type, quarantined rows and the individual issues
+const DataQualityPanel = ({ quality, timeZone = LOCAL_TIMEZONE, onClose }) => {
+  const [issueFilter, setIssueFilter] = useState(null);
+
+  const visibleIssues = issueFilter
+    ? quality.issues.filter(issue => issue.type === issueFilter)
+    : quality.issues;
+
+  const exportQuarantined = () => {
+    const blob = new Blob([JSON.stringify(quality.quarantined, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `quarantined-events-${formatInZone(new Date(), 'yyyy-MM-dd', timeZone)}.json`;
+    a.click();
+    URL.revokeObjectURL(url);
   };
 
-  const getPatternId = (status) => `pattern-${status}`;
-
   return (
-    <div className="heatmap-container">
-      <div className="chart-header">
-        <h3>Activity Timeline Heatmap</h3>
-        <div className="chart-controls">
-          <button className="chart-control-btn" title="Export Chart">
-            <Download size={16} />
-          </button>
-          <button className="chart-control-btn" title="Fullscreen">
-            <Maximize2 size={16} />
-          </button>
+    <div className="analytics-panel data-quality-panel">
+      <div className="analytics-header">
+        <h3><ShieldCheck size={20} /> Data Quality Report</h3>
+        <button className="close-analytics" onClick={onClose}>
+          <X size={16} />
+        </button>
+      </div>
+
+      <div className="analytics-grid">
+        <div className="analytics-card">
+          <h4>Events Loaded</h4>
+          <div className="metric-huge">{quality.total}</div>
+          <p>{quality.valid.length} passed validation</p>
+        </div>
+        <div className="analytics-card">
+          <h4>Quarantined</h4>
+          <div className="metric-huge" style={{ color: quality.quarantined.length > 0 ? statusColorMap.fail : undefined }}>
+            {quality.quarantined.length}
+          </div>
+          <p>Excluded from charts and exports</p>
+          {quality.quarantined.length > 0 && (
+            <button className="data-quality-export" onClick={exportQuarantined}>
+              <Download size={12} /> Download quarantined rows
+            </button>
+          )}
         </div>
       </div>
 
-      <svg width={width} height={height} style={{ backgroundColor: '#fafafa' }}>
-        <defs>
-          {/* Accessibility patterns */}
-          <pattern id="pattern-success" patternUnits="userSpaceOnUse" width="4" height="4">
-            <rect width="4" height="4" fill={statusColorMap.success} />
-            <path d="M 0,4 l 4,-4 M -1,1 l 2,-2 M 3,5 l 2,-2" stroke="white" strokeWidth="0.5" />
-          </pattern>
-          <pattern id="pattern-warning" patternUnits="userSpaceOnUse" width="4" height="4">
-            <rect width="4" height="4" fill={statusColorMap.warning} />
-            <circle cx="2" cy="2" r="0.5" fill="white" />
-          </pattern>
-          <pattern id="pattern-fail" patternUnits="userSpaceOnUse" width="4" height="4">
-            <rect width="4" height="4" fill={statusColorMap.fail} />
-            <path d="M 1,1 l 2,2 M 1,3 l 2,-2" stroke="white" strokeWidth="0.5" />
-          </pattern>
-        </defs>
+      <div className="data-quality-types">
+        {Object.entries(issueTypes).map(([type, { label, severity }]) => (
+          <button
+            key={type}
+            className={`data-quality-type ${severity} ${issueFilter === type ? 'active' : ''}`}
+            onClick={() => setIssueFilter(prev => prev === type ? null : type)}
+            disabled={quality.counts[type] === 0}
+          >
+            <span className="data-quality-count">{quality.counts[type]}</span>
+            <span>{label}</span>
+          </button>
+        ))}
+      </div>
 
-        <g transform={`translate(${margin.left}, ${margin.top})`}>
-          {/* Y-axis labels (Activity Types) */}
-          {activityTypes.map(activityType => (
-            <text
-              key={activityType}
-              x={-10}
-              y={(yScale(activityType) || 0) + yScale.bandwidth() / 2}
-              textAnchor="end"
-              dominantBaseline="middle"
-              className="axis-label activity-label"
-              fontSize={11}
-            >
-              {activityType}
-            </text>
-          ))}
+      {quality.issues.length === 0 ? (
+        <p className="data-quality-clean">✅ All events match the schema, no issues found.</p>
+      ) : (
+        <div className="transaction-table data-quality-issues">
+          <h4>
+            Issues ({visibleIssues.length})
+            {issueFilter && ` - ${issueTypes[issueFilter].label}`}
+          </h4>
+          <table>
+            <thead>
+              <tr>
+                <th>Event #</th>
+                <th>Issue</th>
+                <th>Severity</th>
+                <th>Details</th>
+              </tr>
+            </thead>
+            <tbody>
+              {visibleIssues.slice(0, 100).map((issue, index) => (
+                <tr key={`${issue.index}-${issue.type}-${index}`}>
+                  <td>{issue.index + 1}</td>
+                  <td>{issueTypes[issue.type].label}</td>
+                  <td>
+                    <span className={`status-badge ${issueTypes[issue.type].severity === 'error' ? 'fail' : 'warning'}`}>
+                      {issueTypes[issue.type].severity === 'error' ? 'quarantined' : 'kept'}
+                    </span>
+                  </td>
+                  <td>{issue.message}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {visibleIssues.length > 100 && (
+            <div className="more-items">+{visibleIssues.length - 100} more issues</div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
 
-          {/* X-axis labels - Dynamic based on granularity */}
-          {(() => {
-            if (granularity === 'yearly') {
-              const years = Array.from(new Set(dates.map(date => format(parseISO(date), 'yyyy'))));
-              return years.map((year) => (
-                <g key={year}>
-                  <text
-                    x={(xScale(year) || 0) + xScale.bandwidth() / 2}
-                    y={-20}
-                    textAnchor="middle"
-                    className="axis-label year-label"
-                    fontSize={14}
-                    fill="#374151"
-                    fontWeight="600"
-                  >
-                    {year}
-                  </text>
-                </g>
-              ));
-            } else if (granularity === 'hourly') {
-              const hours = Array.from(new Set(data.map(item => format(parseISO(item.timestamp), 'yyyy-MM-dd HH'))));
-              return hours.map((hour, i) => {
-                if (i % 4 === 0) { // Show every 4th hour to avoid overcrowding
-                  return (
-                    <g key={hour}>
-                      <text
-                        x={(xScale(hour) || 0) + xScale.bandwidth() / 2}
-                        y={-35}
-                        textAnchor="middle"
-                        className="axis-label"
-                        fontSize={10}
-                        fill="#374151"
-                      >
-                        {format(parseISO(hour + ':00:00'), 'MMM dd')}
-                      </text>
-                      <text
-                        x={(xScale(hour) || 0) + xScale.bandwidth() / 2}
-                        y={-20}
-                        textAnchor="middle"
-                        className="axis-label hour-label"
-                        fontSize={9}
-                        fill="#6b7280"
-                      >
-                        {format(parseISO(hour + ':00:00'), 'HH:mm')}
-                      </text>
-                    </g>
-                  );
-                }
-                return null;
-              });
-            } else if (granularity === 'daily') {
-              return dates.map((date, i) => {
-                if (i % 3 === 0) {
-                  return (
-                    <g key={date}>
-                      <text
-                        x={(xScale(date) || 0) + xScale.bandwidth() / 2}
-                        y={-20}
-                        textAnchor="middle"
-                        className="axis-label"
-                        fontSize={10}
-                        fill="#374151"
-                      >
-                        {format(parseISO(date), 'MMM dd')}
-                      </text>
-                    </g>
-                  );
-                }
-                return null;
-              });
-            } else if (granularity === 'monthly') {
-              const months = Array.from(new Set(dates.map(date => format(parseISO(date), 'yyyy-MM'))));
-              return months.map((month) => (
-                <g key={month}>
-                  <text
-                    x={(xScale(month) || 0) + xScale.bandwidth() / 2}
-                    y={-35}
-                    textAnchor="middle"
-                    className="axis-label month-label"
-                    fontSize={12}
-                    fill="#374151"
-                  >
-                    {format(parseISO(month + '-01'), 'MMM')}
-                  </text>
-                  <text
-                    x={(xScale(month) || 0) + xScale.bandwidth() / 2}
-                    y={-20}
-                    textAnchor="middle"
-                    className="axis-label year-label"
-                    fontSize={10}
-                    fill="#6b7280"
-                  >
-                    {format(parseISO(month + '-01'), 'yyyy')}
-                  </text>
-                </g>
-              ));
-            } else { // weekly or other
-              return weeks.map((week, i) => {
-                if (i % 2 === 0) {
-                  return (
-                    <g key={format(week, 'yyyy-MM-dd')}>
-                      <text
-                        x={(xScale(format(week, 'yyyy-MM-dd')) || 0) + xScale.bandwidth() / 2}
-                        y={-35}
-                        textAnchor="middle"
-                        className="axis-label month-label"
-                        fontSize={12}
-                        fill="#374151"
-                      >
-                        {format(week, 'MMM')}
-                      </text>
-                      <text
-                        x={(xScale(format(week, 'yyyy-MM-dd')) || 0) + xScale.bandwidth() / 2}
-                        y={-20}
-                        textAnchor="middle"
-                        className="axis-label year-label"
-                        fontSize={10}
-                        fill="#6b7280"
-                      >
-                        {format(week, 'yyyy')}
-                      </text>
-                    </g>
-                  );
-                }
-                return null;
-              });
-            }
-          })()}
+// Virtualized event list for the cell details modal. Only the rows in view (plus a small
+// overscan) are rendered, so cells holding thousands of events stay responsive.
+const EVENT_ROW_HEIGHT = 36;
+const EVENT_LIST_HEIGHT = 360;
+const EVENT_LIST_OVERSCAN = 8;
+
+const eventColumns = [
+  { key: 'time', label: 'Time' },
+  { key: 'status', label: 'Status' },
+  { key: 'user', label: 'User' },
+  { key: 'device', label: 'Device' }
+];
+
+const statusRank = { success: 0, warning: 1, fail: 2 };
+
+const EventList = ({ events, timeZone }) => {
+  const [sort, setSort] = useState({ key: 'time', direction: 'asc' });
+  const [columnFilters, setColumnFilters] = useState({ user: '', device: '', status: '' });
+  const [jumpTime, setJumpTime] = useState('');
+  const [highlighted, setHighlighted] = useState(null);
+  const [scrollTop, setScrollTop] = useState(0);
+  const listRef = useRef(null);
+
+  // Wall-clock time in the display zone, used for display and for "jump to time"
+  const rows = useMemo(() => events.map((event, index) => ({
+    event,
+    index,
+    instant: Date.parse(event.timestamp),
+    time: formatInZone(parseISO(event.timestamp), "yyyy-MM-dd'T'HH:mm:ss", timeZone)
+  })), [events, timeZone]);
+
+  const visibleRows = useMemo(() => {
+    const user = columnFilters.user.trim().toLowerCase();
+    const device = columnFilters.device.trim().toLowerCase();
+    const filtered = rows.filter(({ event }) => (
+      (!user || event.user.toLowerCase().includes(user)) &&
+      (!device || event.device.toLowerCase().includes(device)) &&
+      (!columnFilters.status || event.status === columnFilters.status)
+    ));
+
+    const compare = {
+      time: (a, b) => a.instant - b.instant,
+      status: (a, b) => statusRank[a.event.status] - statusRank[b.event.status],
+      user: (a, b) => a.event.user.localeCompare(b.event.user, undefined, { numeric: true }),
+      device: (a, b) => a.event.device.localeCompare(b.event.device, undefined, { numeric: true })
+    }[sort.key];
+    const direction = sort.direction === 'asc' ? 1 : -1;
+
+    // Ties keep time order so equal users/devices read chronologically
+    return filtered.sort((a, b) => (compare(a, b) || a.instant - b.instant) * direction);
+  }, [rows, columnFilters, sort]);
+
+  const scrollToRow = (position) => {
+    const top = Math.max(0, position * EVENT_ROW_HEIGHT - EVENT_ROW_HEIGHT);
+    if (listRef.current) listRef.current.scrollTop = top;
+    setScrollTop(top);
+  };
 
-          {/* Grid lines */}
-          <g className="grid-lines">
-            {(() => {
-              if (granularity === 'yearly') {
-                const years = Array.from(new Set(dates.map(date => format(parseISO(date), 'yyyy'))));
-                return years.map((year, i) => (
-                  <line
-                    key={`v-${i}`}
-                    x1={xScale(year) || 0}
-                    y1={0}
-                    x2={xScale(year) || 0}
-                    y2={yMax}
-                    stroke="#f3f4f6"
-                    strokeWidth={0.5}
-                  />
-                ));
-              } else if (granularity === 'hourly') {
-                const hours = Array.from(new Set(data.map(item => format(parseISO(item.timestamp), 'yyyy-MM-dd HH'))));
-                return hours.map((hour, i) => (
-                  <line
-                    key={`v-${i}`}
-                    x1={xScale(hour) || 0}
-                    y1={0}
-                    x2={xScale(hour) || 0}
-                    y2={yMax}
-                    stroke="#f3f4f6"
-                    strokeWidth={0.5}
-                  />
-                ));
-              } else if (granularity === 'daily') {
-                return dates.map((date, i) => (
-                  <line
-                    key={`v-${i}`}
-                    x1={xScale(date) || 0}
-                    y1={0}
-                    x2={xScale(date) || 0}
-                    y2={yMax}
-                    stroke="#f3f4f6"
-                    strokeWidth={0.5}
-                  />
-                ));
-              } else if (granularity === 'monthly') {
-                const months = Array.from(new Set(dates.map(date => format(parseISO(date), 'yyyy-MM'))));
-                return months.map((month, i) => (
-                  <line
-                    key={`v-${i}`}
-                    x1={xScale(month) || 0}
-                    y1={0}
-                    x2={xScale(month) || 0}
-                    y2={yMax}
-                    stroke="#f3f4f6"
-                    strokeWidth={0.5}
-                  />
-                ));
-              } else { // weekly or other
-                return weeks.map((week, i) => (
-                  <line
-                    key={`v-${i}`}
-                    x1={xScale(format(week, 'yyyy-MM-dd')) || 0}
-                    y1={0}
-                    x2={xScale(format(week, 'yyyy-MM-dd')) || 0}
-                    y2={yMax}
-                    stroke="#f3f4f6"
-                    strokeWidth={0.5}
-                  />
-                ));
-              }
-            })()}
-            {activityTypes.map((type, i) => (
-              <line
-                key={`h-${i}`}
-                x1={0}
-                y1={yScale(type) || 0}
-                x2={xMax}
-                y2={yScale(type) || 0}
-                stroke="#f3f4f6"
-                strokeWidth={0.5}
-              />
-            ))}
-          </g>
+  const toggleSort = (key) => {
+    setSort(prev => ({
+      key,
+      direction: prev.key === key && prev.direction === 'asc' ? 'desc' : 'asc'
+    }));
+    scrollToRow(0);
+  };
 
-          {/* Heatmap cells - Optimized rendering */}
-          {useMemo(() => {
-            const handleShowTooltip = (event, cell) => {
-              const point = localPoint(event) || { x: 0, y: 0 };
-              showTooltip({
-                tooltipData: cell,
-                tooltipTop: point.y,
-                tooltipLeft: point.x,
-              });
-            };
+  const updateFilter = (key, value) => {
+    setColumnFilters(prev => ({ ...prev, [key]: value }));
+    scrollToRow(0);
+  };
 
-            const handleHideTooltip = () => {
-              hideTooltip();
-            };
+  // Scroll to the first event at or after the chosen time. Jumping only makes sense in
+  // time order, so any other sort switches back to time ascending first.
+  const jumpToTime = () => {
+    if (!jumpTime) return;
+    const timeRows = sort.key === 'time' && sort.direction === 'asc'
+      ? visibleRows
+      : [...visibleRows].sort((a, b) => a.instant - b.instant);
+    if (timeRows !== visibleRows) {
+      setSort({ key: 'time', direction: 'asc' });
+    }
 
-            return gridData.map((cell, index) => {
-              if (!cell.status) return null;
+    const position = timeRows.findIndex(row => row.time >= jumpTime);
+    const target = position === -1 ? timeRows.length - 1 : position;
+    if (target < 0) return;
+    setHighlighted(timeRows[target].index);
+    scrollToRow(target);
+  };
 
-              const x = xScale(cell.period) || 0;
-              const y = yScale(cell.activityType) || 0;
-              const width = xScale.bandwidth();
-              const height = yScale.bandwidth();
-              const fillColor = showGradient
-                ? getIntensityColor(cell.status, cell.intensity)
-                : statusColorMap[cell.status];
+  const firstRow = Math.max(0, Math.floor(scrollTop / EVENT_ROW_HEIGHT) - EVENT_LIST_OVERSCAN);
+  const lastRow = Math.min(
+    visibleRows.length,
+    Math.ceil((scrollTop + EVENT_LIST_HEIGHT) / EVENT_ROW_HEIGHT) + EVENT_LIST_OVERSCAN
+  );
+  const timeBounds = rows.length > 0
+    ? rows.reduce((bounds, row) => ({
+        min: row.time < bounds.min ? row.time : bounds.min,
+        max: row.time > bounds.max ? row.time : bounds.max
+      }), { min: rows[0].time, max: rows[0].time })
+    : null;
 
-              const centerX = x + width / 2;
-              const centerY = y + height / 2;
-              const radius = Math.min(width, height) * 0.3;
+  return (
+    <div className="event-list">
+      <div className="event-list-toolbar">
+        <span className="event-list-count">
+          Showing {visibleRows.length} of {events.length}
+        </span>
+        <div className="event-list-jump">
+          <Clock size={14} />
+          <input
+            type="datetime-local"
+            step="1"
+            value={jumpTime}
+            min={timeBounds ? timeBounds.min.slice(0, 16) : undefined}
+            max={timeBounds ? timeBounds.max.slice(0, 16) : undefined}
+            onChange={(e) => setJumpTime(e.target.value)}
+            onKeyDown={(e) => e.key === 'Enter' && jumpToTime()}
+            aria-label="Jump to time"
+          />
+          <button className="apply-filters compact" onClick={jumpToTime} disabled={!jumpTime}>
+            Jump
+          </button>
+        </div>
+      </div>
 
-              return (
-                <rect
-                  key={`${cell.activityType}-${cell.period}-${index}`}
-                  x={x + width * 0.1}
-                  y={y + height * 0.1}
-                  width={width * 0.8}
-                  height={height * 0.8}
-                  fill={fillColor}
-                  stroke="#ffffff"
-                  strokeWidth={1}
-                  rx={2}
-                  ry={2}
-                  onMouseEnter={(event) => handleShowTooltip(event, cell)}
-                  onMouseLeave={handleHideTooltip}
-                  onClick={(event) => {
-                    event.stopPropagation();
-                    onCellClick(cell);
-                  }}
-                  style={{ cursor: 'pointer' }}
-                />
-              );
-            });
-          }, [gridData, xScale, yScale, showGradient, showAccessibilityPatterns, showTooltip, hideTooltip, onCellClick])}
-        </g>
-      </svg>
+      <div className="event-list-header">
+        {eventColumns.map(({ key, label }) => (
+          <button
+            key={key}
+            className={`event-list-sort ${sort.key === key ? 'active' : ''}`}
+            onClick={() => toggleSort(key)}
+          >
+            {label}
+            {sort.key !== key ? <ArrowUpDown size={12} /> : sort.direction === 'asc' ? <ArrowUp size={12} /> : <ArrowDown size={12} />}
+          </button>
+        ))}
+      </div>
+      <div className="event-list-filters">
+        <span className="event-list-timezone">{timeZoneLabel(timeZone)}</span>
+        <select
+          value={columnFilters.status}
+          onChange={(e) => updateFilter('status', e.target.value)}
+          aria-label="Filter by status"
+        >
+          <option value="">All statuses</option>
+          {Object.keys(statusColorMap).map(status => (
+            <option key={status} value={status}>{status}</option>
+          ))}
+        </select>
+        <input
+          type="text"
+          placeholder="Filter users..."
+          value={columnFilters.user}
+          onChange={(e) => updateFilter('user', e.target.value)}
+        />
+        <input
+          type="text"
+          placeholder="Filter devices..."
+          value={columnFilters.device}
+          onChange={(e) => updateFilter('device', e.target.value)}
+        />
+      </div>
 
-      {tooltipData && (
-        <Tooltip
-          top={tooltipTop}
-          left={tooltipLeft}
-          style={{
-            ...defaultStyles,
-            backgroundColor: 'rgba(0, 0, 0, 0.95)',
-            color: 'white',
-            border: 'none',
-            borderRadius: '8px',
-            padding: '12px 16px',
-            fontSize: '13px',
-            boxShadow: '0 10px 15px -3px rgba(0, 0, 0, 0.1)',
-            maxWidth: '250px'
-          }}
+      {visibleRows.length === 0 ? (
+        <div className="event-list-empty">No events match these filters.</div>
+      ) : (
+        <div
+          ref={listRef}
+          className="event-list-viewport"
+          style={{ height: Math.min(EVENT_LIST_HEIGHT, visibleRows.length * EVENT_ROW_HEIGHT) }}
+          onScroll={(e) => setScrollTop(e.currentTarget.scrollTop)}
         >
-          <div className="tooltip-content">
-            <div className="tooltip-header">
-              <strong>{tooltipData.activityType}</strong>
-              <span className="tooltip-status" style={{ color: statusColorMap[tooltipData.status] }}>
-                {statusIcons[tooltipData.status]} {tooltipData.status.toUpperCase()}
-              </span>
-            </div>
-            <div className="tooltip-body">
-              <p>📅 {tooltipData.periodLabel}</p>
-              <p>📊 {tooltipData.count} events</p>
-              <p>💪 Intensity: {Math.round(tooltipData.intensity * 100)}%</p>
-              <small>Click for detailed view</small>
-            </div>
+          <div style={{ height: visibleRows.length * EVENT_ROW_HEIGHT, position: 'relative' }}>
+            {visibleRows.slice(firstRow, lastRow).map(({ event, index, time }, offset) => (
+              <div
+                key={index}
+                className={`event-list-row ${highlighted === index ? 'highlighted' : ''}`}
+                style={{ top: (firstRow + offset) * EVENT_ROW_HEIGHT, height: EVENT_ROW_HEIGHT }}
+              >
+                <span className="event-date">{format(parseISO(time), 'MMM dd, yyyy HH:mm:ss')}</span>
+                <span>
+                  <span className="event-status" style={{ backgroundColor: statusColorMap[event.status] }}>
+                    {statusIcons[event.status]} {event.status}
+                  </span>
+                </span>
+                <span><Users size={14} /> {event.user}</span>
+                <span><Activity size={14} /> {event.device}</span>
+              </div>
+            ))}
           </div>
-        </Tooltip>
+        </div>
       )}
     </div>
   );
-}));
+};
 
 function App() {
-  const [activeTab, setActiveTab] = useState('Overview');
-  const [selectedActivityTypes, setSelectedActivityTypes] = useState([]);
-  const [selectedStatuses, setSelectedStatuses] = useState([]);
+  // View state starts from the URL so shared links open the same view
+  const [initialViewState] = useState(() => parseUrlState(window.location.search, { tabs }));
+  const [activeTab, setActiveTab] = useState(initialViewState.activeTab);
+  const [selectedActivityTypes, setSelectedActivityTypes] = useState(initialViewState.selectedActivityTypes);
+  const [selectedStatuses, setSelectedStatuses] = useState(initialViewState.selectedStatuses);
+  const [selectedUsers, setSelectedUsers] = useState(initialViewState.selectedUsers);
+  const [selectedDevices, setSelectedDevices] = useState(initialViewState.selectedDevices);
+  const [query, setQuery] = useState(initialViewState.query);
   const [showFilters, setShowFilters] = useState(false);
   const [showCustomize, setShowCustomize] = useState(false);
   const [selectedCell, setSelectedCell] = useState(null);
   const [searchTerm, setSearchTerm] = useState('');
   const [showGradient, setShowGradient] = useState(true);
   const [showAccessibilityPatterns, setShowAccessibilityPatterns] = useState(false);
-  const [selectedStatCard, setSelectedStatCard] = useState(null);
-  const [timeRange, setTimeRange] = useState('all');
-  const [granularity, setGranularity] = useState('weekly');
+  const [selectedStatCard, setSelectedStatCard] = useState(initialViewState.selectedStatCard);
+  const [timeRange, setTimeRange] = useState(initialViewState.timeRange);
+  const [granularity, setGranularity] = useState(initialViewState.granularity);
   const [isRealTimeEnabled, setIsRealTimeEnabled] = useState(false);
   const [showDateRangePicker, setShowDateRangePicker] = useState(false); // State for the date picker visibility
-  const [customDateRange, setCustomDateRange] = useState({ 
-    start: '2025-01-01', 
-    end: '2026-08-03' 
-  });
+  const [customDateRange, setCustomDateRange] = useState(initialViewState.customDateRange);
+  const [zoomHistory, setZoomHistory] = useState([]); // time ranges zoomed in from, oldest first
+
+  // Picking a range any way but zooming starts a new zoom trail
+  const pickTimeRange = useCallback((range) => {
+    setZoomHistory([]);
+    setTimeRange(range);
+  }, []);
+  const pickCustomDateRange = useCallback((range) => {
+    setZoomHistory([]);
+    setCustomDateRange(range);
+  }, []);
+  const [compareMode, setCompareMode] = useState(initialViewState.compareMode);
+  const [compareDateRange, setCompareDateRange] = useState(initialViewState.compareDateRange);
+  const [showDifference, setShowDifference] = useState(false);
+  const [anomalyMethod, setAnomalyMethod] = useState('rolling');
+  const [anomalySensitivity, setAnomalySensitivity] = useState('medium');
+  const [showAnomalies, setShowAnomalies] = useState(true);
+  const [cellStatusRule, setCellStatusRule] = useState('worst');
+  const [failureThresholds, setFailureThresholds] = useState(defaultFailureThresholds);
+  const [intensityNormalization, setIntensityNormalization] = useState('row');
+  const [quantileBins, setQuantileBins] = useState(5);
+  const [colorScale, setColorScale] = useState(defaultColorScale);
+  const [intensityLegend, setIntensityLegend] = useState(null);
+  const [heatmapRowSort, setHeatmapRowSort] = useState('appearance');
+  const [heatmapRowDimension, setHeatmapRowDimension] = useState('activityType');
+  const [heatmapTopN, setHeatmapTopN] = useState(0);
+  const [groupActivityTypes, setGroupActivityTypes] = useState(false);
+  const [activityCategories, setActivityCategories] = useState(loadActivityCategories);
+
+  useEffect(() => {
+    storeActivityCategories(activityCategories);
+  }, [activityCategories]);
+
+  // Categories group activity types, so they only apply with activity types on the Y axis
+  const heatmapCategoryOf = useMemo(() => (
+    groupActivityTypes && heatmapRowDimension === 'activityType'
+      ? (activityType) => categoryOf(activityCategories, activityType)
+      : null
+  ), [groupActivityTypes, heatmapRowDimension, activityCategories]);
+
+  // Keep warning <= fail, and fail above zero, so both thresholds stay meaningful
+  const handleFailureThresholdChange = useCallback((level, value) => {
+    const percent = Math.min(100, Math.max(0, Number(value) || 0));
+    setFailureThresholds(current => (
+      level === 'warning'
+        ? { warning: Math.min(percent, current.fail), fail: current.fail }
+        : { warning: Math.min(current.warning, percent), fail: Math.max(1, percent) }
+    ));
+  }, []);
   const [showAnalytics, setShowAnalytics] = useState(false);
   const [notifications, setNotifications] = useState([]);
   const [isExporting, setIsExporting] = useState(false);
-  const [lastUpdate, setLastUpdate] = useState(new Date());
+  const [dataSourceConfig, setDataSourceConfig] = useState(loadDataSourceConfig);
+  const [showDataSource, setShowDataSource] = useState(false);
+  const [savedViews, setSavedViews] = useState(loadSavedViews);
+  const [showSavedViews, setShowSavedViews] = useState(false);
+  const [timeZone, setTimeZone] = useState(loadTimeZone);
+  const [timeZoneInput, setTimeZoneInput] = useState(timeZone);
+  const [pendingImport, setPendingImport] = useState(null);
+  const [isDraggingFile, setIsDraggingFile] = useState(false);
+  const dragDepth = useRef(0);
+  const importInputRef = useRef(null);
+
+  const {
+    data: events,
+    status: dataStatus,
+    error: dataError,
+    label: dataSourceLabel,
+    reload: reloadData,
+    importEvents,
+    appendEvents
+  } = useDataSource({ ...dataSourceConfig, timeZone });
+
+  const liveStream = useEventStream(dataSourceConfig.streamUrl, isRealTimeEnabled, appendEvents);
+
+  // Validate everything the source delivers; quarantined rows never reach the charts.
+  // The validator is incremental, so streamed batches only validate the new events.
+  const validateEvents = useMemo(() => createEventValidator(), []);
+  const dataQuality = useMemo(() => validateEvents(events, { timeZone }), [validateEvents, events, timeZone]);
+  const validEvents = dataQuality.valid;
+  const [showDataQuality, setShowDataQuality] = useState(false);
 
   // Force re-render when granularity changes
   const handleGranularityChange = useCallback((newGranularity) => {
     setGranularity(newGranularity);
   }, []);
   const [showPreview, setShowPreview] = useState(false);
-  const [viewMode, setViewMode] = useState('heatmap'); // 'heatmap' or 'bargraph'
+  const [viewMode, setViewMode] = useState(initialViewState.viewMode); // 'heatmap', 'bargraph', 'line', 'punchcard' or 'calendar'
   const [showTrends, setShowTrends] = useState(true);
 
-  const activityTypes = Array.from(new Set(dummyData.map(d => d.activityType)));
+  const activityTypes = useMemo(() => Array.from(new Set(validEvents.map(d => d.activityType))), [validEvents]);
   const statuses = ['success', 'warning', 'fail'];
 
   // Filter activity types by search term
@@ -1254,11 +3942,10 @@ function App() {
         break;
       case 'custom':
         if (customDateRange.start && customDateRange.end) {
-          startDate = parseISO(customDateRange.start);
-          const endDate = parseISO(customDateRange.end);
-          return dummyData.filter(item => {
-            const itemDate = parseISO(item.date);
-            return itemDate >= startDate && itemDate <= endDate;
+          // Custom ranges are calendar days in the display timezone
+          return validEvents.filter(item => {
+            const itemDay = eventDay(item, timeZone);
+            return itemDay >= customDateRange.start && itemDay <= customDateRange.end;
           });
         } else {
           // If custom range is selected but not set, return empty or default
@@ -1269,23 +3956,52 @@ function App() {
     }
 
     if (startDate) {
-      return dummyData.filter(item => {
-        const itemDate = parseISO(item.date);
+      return validEvents.filter(item => {
+        const itemDate = parseISO(item.timestamp);
         return itemDate >= startDate && itemDate <= now;
       });
     }
     return [];
-  }, [timeRange, customDateRange]);
+  }, [validEvents, timeRange, customDateRange, timeZone]);
 
 
-  // Optimized filter data calculation
-  const filteredData = useMemo(() => {
+  // Query bar expression; an invalid query filters nothing until it is fixed
+  const compiledQuery = useMemo(() => compileQuery(query), [query]);
+
+  // Distinct values per field for query autocomplete
+  const queryValues = useMemo(() => {
+    const distinct = (key) => Array.from(new Set(validEvents.map(d => d[key])))
+      .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+    return {
+      activityType: activityTypes,
+      status: statuses,
+      user: distinct('user'),
+      device: distinct('device')
+    };
+  }, [validEvents, activityTypes]);
+
+  // Distinct users and devices with their event counts, busiest first, for the filters
+  const dimensionValues = useMemo(() => {
+    const countValues = (key) => {
+      const counts = new Map();
+      validEvents.forEach(d => counts.set(d[key], (counts.get(d[key]) || 0) + 1));
+      return Array.from(counts, ([value, count]) => ({ value, count }))
+        .sort((a, b) => b.count - a.count || a.value.localeCompare(b.value, undefined, { numeric: true }));
+    };
+    return { user: countValues('user'), device: countValues('device') };
+  }, [validEvents]);
+
+  // Every filter except the time range, so the comparison range can share them
+  const applyFilters = useCallback((events) => {
+    const queryPredicate = compiledQuery.predicate;
+
     // Early return if no filters
-    if (selectedActivityTypes.length === 0 && selectedStatuses.length === 0 && !selectedStatCard) {
-      return timeFilteredData; // Use time-filtered data
+    if (selectedActivityTypes.length === 0 && selectedStatuses.length === 0 && selectedUsers.length === 0 &&
+        selectedDevices.length === 0 && !selectedStatCard && !queryPredicate) {
+      return events;
     }
 
-    return timeFilteredData.filter(item => { // Filter from time-filtered data
+    return events.filter(item => {
       // Activity type filter
       if (selectedActivityTypes.length > 0 && !selectedActivityTypes.includes(item.activityType)) {
         return false;
@@ -1296,6 +4012,14 @@ function App() {
         return false;
       }
 
+      // User and device filters
+      if (selectedUsers.length > 0 && !selectedUsers.includes(item.user)) {
+        return false;
+      }
+      if (selectedDevices.length > 0 && !selectedDevices.includes(item.device)) {
+        return false;
+      }
+
       // Stat card filter
       if (selectedStatCard) {
         const targetStatus = selectedStatCard === 'failed' ? 'fail' : selectedStatCard;
@@ -1304,30 +4028,65 @@ function App() {
         }
       }
 
+      // Query bar
+      if (queryPredicate && !queryPredicate(item)) {
+        return false;
+      }
+
       return true;
     });
-  }, [timeFilteredData, selectedActivityTypes, selectedStatuses, selectedStatCard]);
+  }, [selectedActivityTypes, selectedStatuses, selectedUsers, selectedDevices, selectedStatCard, compiledQuery]);
 
+  // Optimized filter data calculation
+  const filteredData = useMemo(() => applyFilters(timeFilteredData), [applyFilters, timeFilteredData]);
+
+
+  // Compare mode: the comparison range goes through the same filters and its events are
+  // shifted onto the current periods (see comparison.js) before they are indexed. Shifted
+  // copies are kept per comparison, so the worker only gets new ones when events arrive.
+  const comparison = useMemo(() => resolveComparison({
+    compareMode,
+    compareDateRange,
+    timeRange,
+    customDateRange,
+    timeZone
+  }), [compareMode, compareDateRange, timeRange, customDateRange, timeZone]);
+  const shiftedEvents = useMemo(() => new WeakMap(), [comparison]);
+
+  const comparisonData = useMemo(() => (
+    comparison
+      ? applyFilters(validEvents.filter(event => inComparisonRange(comparison, event, timeZone)))
+        .map(event => {
+          if (!shiftedEvents.has(event)) shiftedEvents.set(event, shiftComparisonEvent(comparison, event));
+          return shiftedEvents.get(event);
+        })
+      : null
+  ), [comparison, shiftedEvents, applyFilters, validEvents, timeZone]);
+
+  // Bucket indexes of the filtered and comparison events feed the charts, stat cards and
+  // analytics; they and every query over them run in the aggregation worker
+  const aggregation = useAggregation({ current: filteredData, comparison: comparisonData }, timeZone);
 
   // Calculate statistics
-  const statistics = useMemo(() => {
-    const devices = new Set(filteredData.map(d => d.device)).size;
-    const users = new Set(filteredData.map(d => d.user)).size;
-    const totalEvents = filteredData.length;
-    const successEvents = filteredData.filter(d => d.status === 'success').length;
-    const failedEvents = filteredData.filter(d => d.status === 'fail').length;
-    const warningEvents = filteredData.filter(d => d.status === 'warning').length;
-
-    return {
-      devices,
-      users,
-      totalEvents,
-      successEvents,
-      failedEvents,
-      warningEvents,
-      successRate: totalEvents > 0 ? ((successEvents / totalEvents) * 100).toFixed(1) : 0
-    };
-  }, [filteredData]);
+  const statisticsQuery = useAggregationQuery(aggregation, 'statistics', null, emptyStatistics);
+  const statistics = useMemo(() => withSuccessRate(statisticsQuery.result), [statisticsQuery.result]);
+  const comparisonStatisticsQuery = useAggregationQuery(aggregation, 'comparisonStatistics', null, null);
+  const comparisonStatistics = useMemo(() => (
+    comparison && comparisonStatisticsQuery.result ? withSuccessRate(comparisonStatisticsQuery.result) : null
+  ), [comparison, comparisonStatisticsQuery.result]);
+  const comparisonRangeLabel = comparison ? comparisonLabel(comparison, timeZone) : null;
+
+  // Anomalies in the per-period totals at the current granularity (see anomalies.js),
+  // highlighted in the bar graph and heatmap and listed on the Behaviour tab
+  const anomalyDetection = useAggregationQuery(aggregation, 'anomalies', {
+    granularity,
+    method: anomalyMethod,
+    sensitivity: anomalySensitivity
+  }, emptyAnomalyDetection).result;
+  const anomalyPeriods = useMemo(
+    () => new Map(anomalyDetection.anomalies.map(anomaly => [anomaly.period, anomaly])),
+    [anomalyDetection]
+  );
 
   const handleActivityTypeFilter = (activityType) => {
     setSelectedActivityTypes(prev =>
@@ -1348,26 +4107,33 @@ function App() {
   const clearAllFilters = () => {
     setSelectedActivityTypes([]);
     setSelectedStatuses([]);
+    setSelectedUsers([]);
+    setSelectedDevices([]);
     setSelectedStatCard(null);
+    setQuery('');
     setSearchTerm('');
   };
 
   // Export functionality
-  const exportData = useCallback((format) => {
+  const exportData = useCallback((exportFormat) => {
     setIsExporting(true);
 
     setTimeout(() => {
-      if (format === 'csv') {
+      const fileDate = todayInZone(timeZone);
+
+      if (exportFormat === 'csv') {
+        // Date and Time are wall-clock values in the display timezone; Timestamp stays UTC
         const csvData = filteredData.map(item => ({
-          Date: item.date,
-          Time: format(parseISO(item.timestamp), 'HH:mm:ss'),
+          Date: eventDay(item, timeZone),
+          Time: formatInZone(parseISO(item.timestamp), 'HH:mm:ss', timeZone),
+          Timestamp: item.timestamp,
           Activity: item.activityType,
           Status: item.status,
           User: item.user,
           Device: item.device
         }));
 
-        const headers = Object.keys(csvData[0]).join(',');
+        const headers = ['Date', 'Time', 'Timestamp', 'Activity', 'Status', 'User', 'Device'].join(',');
         const rows = csvData.map(row => Object.values(row).join(','));
         const csv = [headers, ...rows].join('\n');
 
@@ -1375,17 +4141,21 @@ function App() {
         const url = URL.createObjectURL(blob);
         const a = document.createElement('a');
         a.href = url;
-        a.download = `activity-report-${format(new Date(), 'yyyy-MM-dd')}.csv`;
+        a.download = `activity-report-${fileDate}.csv`;
         a.click();
         URL.revokeObjectURL(url);
-      } else if (format === 'json') {
+      } else if (exportFormat === 'json') {
         const jsonData = {
           exported_at: new Date().toISOString(),
+          timezone: timeZone === LOCAL_TIMEZONE ? Intl.DateTimeFormat().resolvedOptions().timeZone : timeZone,
           total_events: filteredData.length,
           filters_applied: {
             activity_types: selectedActivityTypes,
             statuses: selectedStatuses,
-            date_range: timeRange
+            users: selectedUsers,
+            devices: selectedDevices,
+            query: query || null,
+            date_range: timeRange === 'custom' ? { ...customDateRange } : timeRange
           },
           data: filteredData
         };
@@ -1394,7 +4164,7 @@ function App() {
         const url = URL.createObjectURL(blob);
         const a = document.createElement('a');
         a.href = url;
-        a.download = `activity-report-${format(new Date(), 'yyyy-MM-dd')}.json`;
+        a.download = `activity-report-${fileDate}.json`;
         a.click();
         URL.revokeObjectURL(url);
       }
@@ -1402,22 +4172,7 @@ function App() {
       setIsExporting(false);
       addNotification('Export completed successfully!', 'success');
     }, 1000);
-  }, [filteredData, selectedActivityTypes, selectedStatuses, timeRange]);
-
-  // Real-time updates simulation
-  useEffect(() => {
-    if (!isRealTimeEnabled) return;
-
-    const interval = setInterval(() => {
-      setLastUpdate(new Date());
-      // Simulate new data notification
-      if (Math.random() > 0.7) {
-        addNotification('New activity detected!', 'info');
-      }
-    }, 5000);
-
-    return () => clearInterval(interval);
-  }, [isRealTimeEnabled]);
+  }, [filteredData, selectedActivityTypes, selectedStatuses, selectedUsers, selectedDevices, query, timeRange, customDateRange, timeZone]);
 
   // Notification system
   const addNotification = useCallback((message, type = 'info') => {
@@ -1434,53 +4189,305 @@ function App() {
   }, []);
 
   // Advanced analytics calculations
+  const activityBreakdown = useAggregationQuery(aggregation, 'activityBreakdown', null, emptyActivityBreakdown).result;
   const advancedAnalytics = useMemo(() => {
-    const hourlyDistribution = Array(24).fill(0);
-    const dailyTrends = {};
-    const userActivityMap = {};
-    const deviceUsage = {};
+    const { hourlyDistribution, dailyTrends, userActivityMap, deviceUsage } = activityBreakdown;
+
+    const peakHour = hourlyDistribution.indexOf(Math.max(...hourlyDistribution));
+    const mostActiveUser = Object.entries(userActivityMap).sort(([,a], [,b]) => b - a)[0];
+    const mostUsedDevice = Object.entries(deviceUsage).sort(([,a], [,b]) => b - a)[0];
+
+    return {
+      peakHour,
+      mostActiveUser: mostActiveUser ? mostActiveUser[0] : 'N/A',
+      mostUsedDevice: mostUsedDevice ? mostUsedDevice[0] : 'N/A',
+      hourlyDistribution,
+      dailyTrends,
+      averageEventsPerDay: Object.values(dailyTrends).reduce((a, b) => a + b, 0) / Object.keys(dailyTrends).length || 0
+    };
+  }, [activityBreakdown]);
+
+  // Optimized cell click handler with immediate response
+  const handleCellClick = useCallback((cell) => {
+    // Use requestAnimationFrame for smooth UI updates
+    requestAnimationFrame(() => {
+      setSelectedCell(cell);
+    });
+  }, []);
+
+  // Throttled version for rapid clicks with better performance
+  const optimizedCellClick = useThrottle(handleCellClick, 50);
+
+  // Mirror the view state into the query string. Every change is a history entry, so
+  // back/forward step through views; the first sync only normalizes the loaded URL.
+  const urlQuery = serializeUrlState({
+    activeTab,
+    viewMode,
+    granularity,
+    timeRange,
+    customDateRange,
+    selectedActivityTypes,
+    selectedStatuses,
+    selectedUsers,
+    selectedDevices,
+    selectedStatCard,
+    query,
+    compareMode,
+    compareDateRange
+  });
+  const urlSynced = useRef(false);
+
+  useEffect(() => {
+    const search = urlQuery ? `?${urlQuery}` : '';
+    if (search !== window.location.search) {
+      const url = `${window.location.pathname}${search}${window.location.hash}`;
+      if (urlSynced.current) {
+        window.history.pushState(null, '', url);
+      } else {
+        window.history.replaceState(null, '', url);
+      }
+    }
+    urlSynced.current = true;
+  }, [urlQuery]);
+
+  useEffect(() => {
+    const handlePopState = () => {
+      const viewState = parseUrlState(window.location.search, { tabs });
+      setActiveTab(viewState.activeTab);
+      setViewMode(viewState.viewMode);
+      setGranularity(viewState.granularity);
+      setZoomHistory([]);
+      setTimeRange(viewState.timeRange);
+      setCustomDateRange(viewState.customDateRange);
+      setSelectedActivityTypes(viewState.selectedActivityTypes);
+      setSelectedStatuses(viewState.selectedStatuses);
+      setSelectedUsers(viewState.selectedUsers);
+      setSelectedDevices(viewState.selectedDevices);
+      setSelectedStatCard(viewState.selectedStatCard);
+      setQuery(viewState.query);
+      setCompareMode(viewState.compareMode);
+      setCompareDateRange(viewState.compareDateRange);
+    };
+
+    window.addEventListener('popstate', handlePopState);
+    return () => window.removeEventListener('popstate', handlePopState);
+  }, []);
+
+  // Saved views
+  const currentViewState = {
+    viewMode,
+    granularity,
+    timeRange,
+    customDateRange,
+    selectedActivityTypes,
+    selectedStatuses,
+    selectedUsers,
+    selectedDevices,
+    selectedStatCard,
+    query,
+    compareMode,
+    compareDateRange,
+    showGradient,
+    showAccessibilityPatterns,
+    showTrends,
+    showDifference,
+    showAnomalies
+  };
+
+  const changeSavedViews = useCallback((update) => {
+    setSavedViews(prev => {
+      const next = update(prev);
+      storeSavedViews(next);
+      return next;
+    });
+  }, []);
 
-    filteredData.forEach(item => {
-      const hour = parseISO(item.timestamp).getHours();
-      hourlyDistribution[hour]++;
+  const saveCurrentView = (name) => {
+    const view = createSavedView(name, currentViewState);
+    changeSavedViews(prev => {
+      const existing = prev.find(saved => saved.name.toLowerCase() === name.toLowerCase());
+      return existing
+        ? prev.map(saved => (saved.id === existing.id ? { ...view, id: existing.id } : saved))
+        : [...prev, view];
+    });
+    addNotification(`Saved view "${name}"`, 'success');
+  };
+
+  const applySavedView = (view) => {
+    const { state } = view;
+    setViewMode(state.viewMode);
+    setGranularity(state.granularity);
+    setZoomHistory([]);
+    setTimeRange(state.timeRange);
+    setCustomDateRange(state.customDateRange);
+    setSelectedActivityTypes(state.selectedActivityTypes);
+    setSelectedStatuses(state.selectedStatuses);
+    setSelectedUsers(state.selectedUsers);
+    setSelectedDevices(state.selectedDevices);
+    setSelectedStatCard(state.selectedStatCard);
+    setQuery(state.query);
+    setCompareMode(state.compareMode);
+    setCompareDateRange(state.compareDateRange);
+    setShowGradient(state.showGradient);
+    setShowAccessibilityPatterns(state.showAccessibilityPatterns);
+    setShowTrends(state.showTrends);
+    setShowDifference(state.showDifference);
+    setShowAnomalies(state.showAnomalies);
+    setShowSavedViews(false);
+    addNotification(`Applied view "${view.name}"`, 'info');
+  };
+
+  const renameSavedView = (id, name) => {
+    changeSavedViews(prev => prev.map(view => (view.id === id ? { ...view, name } : view)));
+  };
+
+  const deleteSavedView = (view) => {
+    changeSavedViews(prev => prev.filter(saved => saved.id !== view.id));
+    addNotification(`Deleted view "${view.name}"`, 'info');
+  };
 
-      const day = format(parseISO(item.date), 'yyyy-MM-dd');
-      dailyTrends[day] = (dailyTrends[day] || 0) + 1;
+  const importSavedViews = async (file) => {
+    try {
+      const imported = parseSavedViews(await file.text());
+      changeSavedViews(prev => mergeSavedViews(prev, imported));
+      addNotification(`Imported ${imported.length} saved view${imported.length === 1 ? '' : 's'}`, 'success');
+    } catch (error) {
+      addNotification(`Could not import views: ${error.message}`, 'warning');
+    }
+  };
 
-      userActivityMap[item.user] = (userActivityMap[item.user] || 0) + 1;
-      deviceUsage[item.device] = (deviceUsage[item.device] || 0) + 1;
-    });
+  const exportSavedViews = () => {
+    const blob = new Blob([serializeSavedViews(savedViews)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `saved-views-${todayInZone(timeZone)}.json`;
+    a.click();
+    URL.revokeObjectURL(url);
+  };
 
-    const peakHour = hourlyDistribution.indexOf(Math.max(...hourlyDistribution));
-    const mostActiveUser = Object.entries(userActivityMap).sort(([,a], [,b]) => b - a)[0];
-    const mostUsedDevice = Object.entries(deviceUsage).sort(([,a], [,b]) => b - a)[0];
+  const changeTimeZone = useCallback((nextTimeZone) => {
+    if (!isValidTimeZone(nextTimeZone)) {
+      addNotification(`Unknown timezone "${nextTimeZone}"`, 'warning');
+      return;
+    }
+    setTimeZone(nextTimeZone);
+    setTimeZoneInput(nextTimeZone);
+    saveTimeZone(nextTimeZone);
+  }, [addNotification]);
+
+  const applyDataSource = useCallback((config) => {
+    setDataSourceConfig(config);
+    saveDataSourceConfig(config);
+    setShowDataSource(false);
+    addNotification(`Loading data from ${dataSourceTypes[config.type]}`, 'info');
+  }, [addNotification]);
+
+  const handleImport = useCallback((imported, mode, fileName) => {
+    importEvents(imported, mode, fileName);
+    addNotification(`${mode === 'append' ? 'Appended' : 'Imported'} ${imported.length} events from ${fileName}`, 'success');
+  }, [importEvents, addNotification]);
+
+  // Drag-and-drop file import - track depth so nested elements don't flicker the overlay
+  const isFileDrag = (event) => Array.from(event.dataTransfer.types || []).includes('Files');
+
+  const handleDragEnter = (event) => {
+    if (!isFileDrag(event)) return;
+    event.preventDefault();
+    dragDepth.current++;
+    setIsDraggingFile(true);
+  };
 
-    return {
-      peakHour,
-      mostActiveUser: mostActiveUser ? mostActiveUser[0] : 'N/A',
-      mostUsedDevice: mostUsedDevice ? mostUsedDevice[0] : 'N/A',
-      hourlyDistribution,
-      dailyTrends,
-      averageEventsPerDay: Object.values(dailyTrends).reduce((a, b) => a + b, 0) / Object.keys(dailyTrends).length || 0
-    };
-  }, [filteredData]);
+  const handleDragOver = (event) => {
+    if (!isFileDrag(event)) return;
+    event.preventDefault();
+    event.dataTransfer.dropEffect = 'copy';
+  };
 
-  // Optimized cell click handler with immediate response
-  const handleCellClick = useCallback((cell) => {
-    // Use requestAnimationFrame for smooth UI updates
-    requestAnimationFrame(() => {
-      setSelectedCell(cell);
-    });
-  }, []);
+  const handleDragLeave = (event) => {
+    if (!isFileDrag(event)) return;
+    dragDepth.current = Math.max(0, dragDepth.current - 1);
+    if (dragDepth.current === 0) {
+      setIsDraggingFile(false);
+    }
+  };
 
-  // Throttled version for rapid clicks with better performance
-  const optimizedCellClick = useThrottle(handleCellClick, 50);
+  const handleDrop = (event) => {
+    if (!isFileDrag(event)) return;
+    event.preventDefault();
+    dragDepth.current = 0;
+    setIsDraggingFile(false);
+    const file = event.dataTransfer.files[0];
+    if (file) {
+      setPendingImport(file);
+    }
+  };
 
   // Function to render chart based on current settings and tab
   const renderChart = (data, tabName = activeTab) => {
     // Use the provided data parameter directly, which is already filtered
     const chartData = data;
 
+    if (dataStatus === 'loading' && events.length === 0) {
+      return (
+        <div className="empty-state">
+          <div className="empty-state-content">
+            <RefreshCw size={48} className="empty-icon spinning" />
+            <h3>Loading activity data</h3>
+            <p>Fetching events from {dataSourceLabel || 'the data source'}…</p>
+          </div>
+        </div>
+      );
+    }
+
+    if (dataStatus === 'error') {
+      return (
+        <div className="empty-state error">
+          <div className="empty-state-content">
+            <AlertTriangle size={48} className="empty-icon" />
+            <h3>Could not load activity data</h3>
+            <p>{dataError.message}</p>
+            <button className="clear-filters" onClick={reloadData}>
+              Retry
+            </button>
+            <button className="clear-filters secondary" onClick={() => setShowDataSource(true)}>
+              Change Data Source
+            </button>
+          </div>
+        </div>
+      );
+    }
+
+    if (events.length === 0) {
+      return (
+        <div className="empty-state">
+          <div className="empty-state-content">
+            <Database size={48} className="empty-icon" />
+            <h3>The data source is empty</h3>
+            <p>{dataSourceLabel} returned no events. Pick another data source or reload once events are available.</p>
+            <button className="clear-filters" onClick={() => setShowDataSource(true)}>
+              Change Data Source
+            </button>
+          </div>
+        </div>
+      );
+    }
+
+    if (validEvents.length === 0) {
+      return (
+        <div className="empty-state error">
+          <div className="empty-state-content">
+            <ShieldCheck size={48} className="empty-icon" />
+            <h3>All events were quarantined</h3>
+            <p>None of the {events.length} events from {dataSourceLabel} passed schema validation.</p>
+            <button className="clear-filters secondary" onClick={() => setShowDataQuality(true)}>
+              View Data Quality Report
+            </button>
+          </div>
+        </div>
+      );
+    }
+
     if (chartData.length === 0) {
       return (
         <div className="empty-state">
@@ -1496,27 +4503,105 @@ function App() {
       );
     }
 
+    if (viewMode === 'calendar') {
+      return (
+        <CalendarChart
+          aggregation={aggregation}
+          width={1200}
+          onCellClick={optimizedCellClick}
+          timeZone={timeZone}
+        />
+      );
+    }
+
+    if (viewMode === 'line') {
+      return (
+        <LineChart
+          aggregation={aggregation}
+          width={1200}
+          height={600}
+          granularity={granularity}
+          timeZone={timeZone}
+        />
+      );
+    }
+
+    if (viewMode === 'punchcard') {
+      return (
+        <PunchcardChart
+          aggregation={aggregation}
+          width={1200}
+          height={600}
+          onCellClick={optimizedCellClick}
+          showGradient={showGradient}
+          showAccessibilityPatterns={showAccessibilityPatterns}
+          timeZone={timeZone}
+        />
+      );
+    }
+
     return viewMode === 'heatmap' ? (
       <HeatmapChart
-        data={chartData}
+        aggregation={aggregation}
         width={1200}
         height={600}
         onCellClick={optimizedCellClick}
         showGradient={showGradient}
         showAccessibilityPatterns={showAccessibilityPatterns}
         granularity={granularity}
+        timeZone={timeZone}
+        comparisonLabel={comparisonRangeLabel}
+        showDifference={showDifference}
+        anomalies={showAnomalies ? anomalyPeriods : null}
+        statusRule={cellStatusRule}
+        failureThresholds={failureThresholds}
+        normalization={intensityNormalization}
+        quantileBins={quantileBins}
+        colorScale={colorScale}
+        onIntensityLegendChange={setIntensityLegend}
+        rowSort={heatmapRowSort}
+        categoryOf={heatmapCategoryOf}
+        rowDimension={heatmapRowDimension}
+        topN={heatmapTopN}
       />
     ) : (
       <BarGraph
-        data={chartData}
+        aggregation={aggregation}
         width={1200}
         height={600}
         granularity={granularity}
         showTrends={showTrends}
+        timeZone={timeZone}
+        comparisonLabel={comparisonRangeLabel}
+        anomalies={showAnomalies ? anomalyPeriods : null}
+        zoomTrail={zoomTrail}
+        onZoom={zoomToRange}
+        onZoomTo={zoomOutTo}
       />
     );
   };
 
+  // Brush zoom on the bar graph: each zoom remembers the range it came from
+  const zoomToRange = (range) => {
+    setZoomHistory(prev => [...prev, { timeRange, customDateRange }]);
+    setTimeRange('custom');
+    setCustomDateRange(range);
+  };
+
+  // Jump back to a breadcrumb level; 0 is where zooming started
+  const zoomOutTo = (level) => {
+    const target = zoomHistory[level];
+    if (!target) return;
+    setTimeRange(target.timeRange);
+    setCustomDateRange(target.customDateRange);
+    setZoomHistory(prev => prev.slice(0, level));
+  };
+
+  // Breadcrumb labels, only needed once there is something to zoom back out to
+  const zoomTrail = zoomHistory.length > 0
+    ? [...zoomHistory, { timeRange, customDateRange }].map(describeTimeRange)
+    : [];
+
   const closeDetailsModal = () => {
     setSelectedCell(null);
   };
@@ -1530,11 +4615,20 @@ function App() {
       setSelectedActivityTypes(prev => prev.filter(a => a !== value));
     } else if (type === 'status') {
       setSelectedStatuses(prev => prev.filter(s => s !== value));
+    } else if (type === 'user') {
+      setSelectedUsers(prev => prev.filter(u => u !== value));
+    } else if (type === 'device') {
+      setSelectedDevices(prev => prev.filter(d => d !== value));
     } else if (type === 'statCard') {
       setSelectedStatCard(null);
+    } else if (type === 'query') {
+      setQuery('');
     }
   };
 
+  const selectedFilterCount = selectedActivityTypes.length + selectedStatuses.length +
+    selectedUsers.length + selectedDevices.length;
+
   const getActiveFilters = () => {
     const filters = [];
     selectedActivityTypes.forEach(type => filters.push({ type: 'activityType', value: type, label: type }));
@@ -1544,6 +4638,8 @@ function App() {
       label: `${statusIcons[status]} ${status}`,
       color: statusColorMap[status]
     }));
+    selectedUsers.forEach(user => filters.push({ type: 'user', value: user, label: `User: ${user}` }));
+    selectedDevices.forEach(device => filters.push({ type: 'device', value: device, label: `Device: ${device}` }));
     if (selectedStatCard) {
       filters.push({
         type: 'statCard',
@@ -1552,11 +4648,31 @@ function App() {
         color: statusColorMap[selectedStatCard === 'failed' ? 'fail' : selectedStatCard]
       });
     }
+    if (query) {
+      filters.push({ type: 'query', value: query, label: `Query: ${query}` });
+    }
     return filters;
   };
 
   return (
-    <div className="app">
+    <div
+      className="app"
+      onDragEnter={handleDragEnter}
+      onDragOver={handleDragOver}
+      onDragLeave={handleDragLeave}
+      onDrop={handleDrop}
+    >
+      {/* File Drop Overlay */}
+      {isDraggingFile && (
+        <div className="drop-overlay">
+          <div className="drop-overlay-content">
+            <Upload size={48} />
+            <h3>Drop to import events</h3>
+            <p>CSV, JSON or NDJSON files</p>
+          </div>
+        </div>
+      )}
+
       <header className="app-header">
         <h1>Activity Timeline Dashboard</h1>
         <div className="header-controls">
@@ -1577,6 +4693,30 @@ function App() {
               <BarChart3 size={14} />
               Bar Graph
             </button>
+            <button
+              className={`view-mode-btn ${viewMode === 'line' ? 'active' : ''}`}
+              onClick={() => setViewMode('line')}
+              title="Line Chart View"
+            >
+              <ChartLine size={14} />
+              Line Chart
+            </button>
+            <button
+              className={`view-mode-btn ${viewMode === 'punchcard' ? 'active' : ''}`}
+              onClick={() => setViewMode('punchcard')}
+              title="Punchcard View"
+            >
+              <Clock size={14} />
+              Punchcard
+            </button>
+            <button
+              className={`view-mode-btn ${viewMode === 'calendar' ? 'active' : ''}`}
+              onClick={() => setViewMode('calendar')}
+              title="Calendar View"
+            >
+              <Calendar size={14} />
+              Calendar
+            </button>
           </div>
 
           <div className="advanced-controls">
@@ -1598,6 +4738,79 @@ function App() {
               Analytics
             </button>
 
+            <button
+              className={`filter-toggle ${showSavedViews ? 'active' : ''}`}
+              onClick={() => setShowSavedViews(!showSavedViews)}
+              title="Saved Views"
+            >
+              <Bookmark size={14} />
+              Views
+              {savedViews.length > 0 && <span className="filter-count">{savedViews.length}</span>}
+            </button>
+
+            <button
+              className={`filter-toggle ${showDataSource ? 'active' : ''}`}
+              onClick={() => setShowDataSource(!showDataSource)}
+              title="Data Source"
+            >
+              <Database size={14} />
+              Data Source
+            </button>
+
+            <button
+              className={`filter-toggle ${showDataQuality ? 'active' : ''}`}
+              onClick={() => setShowDataQuality(!showDataQuality)}
+              title="Data Quality Report"
+            >
+              <ShieldCheck size={14} />
+              Data Quality
+              {dataQuality.issues.length > 0 && (
+                <span className={`filter-count ${dataQuality.quarantined.length > 0 ? 'error' : ''}`}>
+                  {dataQuality.issues.length}
+                </span>
+              )}
+            </button>
+
+            <div className="timezone-selector" title={`Display timezone: ${timeZoneLabel(timeZone)}`}>
+              <Globe size={14} />
+              <select
+                value={commonTimeZones.includes(timeZone) ? timeZone : 'other'}
+                onChange={(e) => {
+                  if (e.target.value === 'other') {
+                    setTimeZoneInput('');
+                  } else {
+                    changeTimeZone(e.target.value);
+                  }
+                }}
+                className="timezone-select"
+              >
+                {commonTimeZones.map(zone => (
+                  <option key={zone} value={zone}>{timeZoneLabel(zone)}</option>
+                ))}
+                <option value="other">{commonTimeZones.includes(timeZone) ? 'Other IANA zone…' : timeZone}</option>
+              </select>
+              {(!commonTimeZones.includes(timeZone) || timeZoneInput !== timeZone) && (
+                <>
+                  <input
+                    list="timezone-options"
+                    value={timeZoneInput}
+                    placeholder="e.g. America/Chicago"
+                    onChange={(e) => setTimeZoneInput(e.target.value)}
+                    onKeyDown={(e) => {
+                      if (e.key === 'Enter' && timeZoneInput) changeTimeZone(timeZoneInput.trim());
+                    }}
+                    onBlur={() => {
+                      if (timeZoneInput && timeZoneInput !== timeZone) changeTimeZone(timeZoneInput.trim());
+                    }}
+                    className="timezone-input"
+                  />
+                  <datalist id="timezone-options">
+                    {allTimeZones.map(zone => <option key={zone} value={zone} />)}
+                  </datalist>
+                </>
+              )}
+            </div>
+
             <div className="export-dropdown">
               <button
                 className={`filter-toggle ${showDateRangePicker ? 'active' : ''}`}
@@ -1652,13 +4865,69 @@ function App() {
 
       {/* Real-time Status Bar */}
       {isRealTimeEnabled && (
-        <div className="realtime-status">
-          <div className="status-indicator live"></div>
-          <span>Live Updates Active</span>
-          <span className="last-update">Last update: {format(lastUpdate, 'HH:mm:ss')}</span>
+        <div className={`realtime-status ${liveStream.paused ? 'paused' : ''} ${liveStream.status}`}>
+          {dataSourceConfig.streamUrl ? (
+            <>
+              <div className={`status-indicator ${liveStream.status === 'open' && !liveStream.paused ? 'live' : ''}`}></div>
+              <span>
+                {liveStream.paused
+                  ? 'Live Updates Paused'
+                  : liveStream.status === 'open' ? 'Live Updates Active'
+                    : liveStream.status === 'error' ? 'Stream URL could not be opened' : `Stream ${liveStream.status}…`}
+              </span>
+              <span className="stream-meta">
+                {liveStream.transport === 'websocket' ? 'WebSocket' : 'SSE'} • {liveStream.received} received
+                {liveStream.malformed > 0 && ` • ${liveStream.malformed} malformed`}
+              </span>
+              {liveStream.paused && (
+                <span className="stream-backlog">{liveStream.backlog} waiting</span>
+              )}
+              <button
+                className="stream-toggle"
+                onClick={liveStream.paused ? liveStream.resume : liveStream.pause}
+                title={liveStream.paused ? 'Resume and apply backlog' : 'Pause live updates'}
+              >
+                {liveStream.paused ? <Play size={12} /> : <Pause size={12} />}
+                {liveStream.paused ? 'Resume' : 'Pause'}
+              </button>
+              <span className="last-update">
+                Last update: {liveStream.lastMessageAt ? format(liveStream.lastMessageAt, 'HH:mm:ss') : '—'}
+              </span>
+            </>
+          ) : (
+            <>
+              <AlertTriangle size={14} />
+              <span>No live stream configured</span>
+              <button className="stream-toggle" onClick={() => setShowDataSource(true)}>
+                <Database size={12} />
+                Configure Stream
+              </button>
+            </>
+          )}
         </div>
       )}
 
+      {/* Data Source Status Bar */}
+      {dataStatus !== 'ready' && (
+        <div className={`data-source-status ${dataStatus}`}>
+          {dataStatus === 'loading' ? <RefreshCw size={14} className="spinning" /> : <AlertTriangle size={14} />}
+          <span>
+            {dataStatus === 'loading'
+              ? `Loading data from ${dataSourceLabel}…`
+              : `Data source error: ${dataError.message}`}
+          </span>
+          {dataStatus === 'error' && (
+            <button className="data-source-retry" onClick={reloadData}>
+              <RefreshCw size={12} />
+              Retry
+            </button>
+          )}
+        </div>
+      )}
+
+      {/* Query Bar */}
+      <QueryBar value={query} values={queryValues} onApply={setQuery} />
+
       {/* Active Filters Chips */}
       {getActiveFilters().length > 0 && (
         <div className="filter-chips-container">
@@ -1697,6 +4966,9 @@ function App() {
           <div className="stat-content">
             <div className="stat-value">{statistics.totalEvents}</div>
             <div className="stat-label">Total Events</div>
+            {comparisonStatistics && (
+              <StatDelta current={statistics.totalEvents} previous={comparisonStatistics.totalEvents} />
+            )}
           </div>
           <div className="stat-trend">📈</div>
         </div>
@@ -1711,6 +4983,9 @@ function App() {
           <div className="stat-content">
             <div className="stat-value">{statistics.successEvents}</div>
             <div className="stat-label">Success Events</div>
+            {comparisonStatistics && (
+              <StatDelta current={statistics.successEvents} previous={comparisonStatistics.successEvents} />
+            )}
           </div>
           <div className="stat-trend">✅</div>
         </div>
@@ -1725,6 +5000,9 @@ function App() {
           <div className="stat-content">
             <div className="stat-value">{statistics.failedEvents}</div>
             <div className="stat-label">Failed Events</div>
+            {comparisonStatistics && (
+              <StatDelta current={statistics.failedEvents} previous={comparisonStatistics.failedEvents} higherIsBetter={false} />
+            )}
           </div>
           <div className="stat-trend">❌</div>
         </div>
@@ -1739,6 +5017,9 @@ function App() {
           <div className="stat-content">
             <div className="stat-value">{statistics.warningEvents}</div>
             <div className="stat-label">Warning Events</div>
+            {comparisonStatistics && (
+              <StatDelta current={statistics.warningEvents} previous={comparisonStatistics.warningEvents} higherIsBetter={false} />
+            )}
           </div>
           <div className="stat-trend">⚠️</div>
         </div>
@@ -1750,6 +5031,9 @@ function App() {
           <div className="stat-content">
             <div className="stat-value">{statistics.devices}</div>
             <div className="stat-label">Devices</div>
+            {comparisonStatistics && (
+              <StatDelta current={statistics.devices} previous={comparisonStatistics.devices} />
+            )}
           </div>
           <div className="stat-trend">📱</div>
         </div>
@@ -1761,6 +5045,9 @@ function App() {
           <div className="stat-content">
             <div className="stat-value">{statistics.users}</div>
             <div className="stat-label">Users</div>
+            {comparisonStatistics && (
+              <StatDelta current={statistics.users} previous={comparisonStatistics.users} />
+            )}
           </div>
           <div className="stat-trend">👥</div>
         </div>
@@ -1772,6 +5059,13 @@ function App() {
           <div className="stat-content">
             <div className="stat-value">{statistics.successRate}%</div>
             <div className="stat-label">Success Rate</div>
+            {comparisonStatistics && (
+              <StatDelta
+                current={statistics.successRate}
+                previous={comparisonStatistics.totalEvents > 0 ? comparisonStatistics.successRate : null}
+                points
+              />
+            )}
           </div>
           <div className="stat-trend">📊</div>
         </div>
@@ -1848,8 +5142,8 @@ function App() {
               title="Toggle Filters"
             >
               <Filter size={16} />
-              {(selectedActivityTypes.length > 0 || selectedStatuses.length > 0) && (
-                <span className="filter-badge">{selectedActivityTypes.length + selectedStatuses.length}</span>
+              {selectedFilterCount > 0 && (
+                <span className="filter-badge">{selectedFilterCount}</span>
               )}
             </button>
             <button
@@ -1871,11 +5165,30 @@ function App() {
             </button>
             <button
               className="filter-icon-btn"
-              onClick={() => window.location.reload()}
+              onClick={reloadData}
               title="Refresh Data"
             >
               <Search size={16} />
             </button>
+            <button
+              className="filter-icon-btn"
+              onClick={() => importInputRef.current.click()}
+              title="Import Events (CSV, JSON, NDJSON)"
+            >
+              <Upload size={16} />
+            </button>
+            <input
+              ref={importInputRef}
+              type="file"
+              accept=".csv,.json,.ndjson,.jsonl"
+              style={{ display: 'none' }}
+              onChange={(e) => {
+                if (e.target.files[0]) {
+                  setPendingImport(e.target.files[0]);
+                }
+                e.target.value = '';
+              }}
+            />
           </div>
         </div>
 
@@ -1922,6 +5235,47 @@ function App() {
         </div>
       </div>
 
+      {/* Event File Import */}
+      {pendingImport && (
+        <ImportDialog
+          file={pendingImport}
+          timeZone={timeZone}
+          onImport={handleImport}
+          onClose={() => setPendingImport(null)}
+        />
+      )}
+
+      {/* Saved Views Popover */}
+      {showSavedViews && (
+        <SavedViewsPopover
+          views={savedViews}
+          currentState={currentViewState}
+          onSave={saveCurrentView}
+          onApply={applySavedView}
+          onRename={renameSavedView}
+          onDelete={deleteSavedView}
+          onImport={importSavedViews}
+          onExport={exportSavedViews}
+          onClose={() => setShowSavedViews(false)}
+        />
+      )}
+
+      {/* Data Source Popover */}
+      {showDataSource && (
+        <DataSourcePopover
+          config={dataSourceConfig}
+          status={dataStatus}
+          label={dataSourceLabel}
+          error={dataError}
+          onApply={applyDataSource}
+          onReload={() => {
+            reloadData();
+            setShowDataSource(false);
+          }}
+          onClose={() => setShowDataSource(false)}
+        />
+      )}
+
       {/* Floating Customize Popover */}
       {showCustomize && (
         <>
@@ -1942,7 +5296,7 @@ function App() {
                     <span>Time Period</span>
                     <select
                       value={timeRange}
-                      onChange={(e) => setTimeRange(e.target.value)}
+                      onChange={(e) => pickTimeRange(e.target.value)}
                       className="time-select compact"
                     >
                       <option value="last24hours">Last 24 Hours</option>
@@ -1954,6 +5308,44 @@ function App() {
                       <option value="custom">Custom Range</option>
                     </select>
                   </label>
+                  <label className="customize-option compact">
+                    <span>Compare With</span>
+                    <select
+                      value={compareMode}
+                      onChange={(e) => setCompareMode(e.target.value)}
+                      className="time-select compact"
+                    >
+                      {compareModes.map(mode => (
+                        <option key={mode.id} value={mode.id}>{mode.label}</option>
+                      ))}
+                    </select>
+                  </label>
+                  {compareMode === 'custom' && (
+                    <div className="customize-option compact compare-range">
+                      <input
+                        type="date"
+                        aria-label="Comparison start"
+                        value={compareDateRange.start}
+                        max={compareDateRange.end}
+                        onChange={(e) => e.target.value && setCompareDateRange(prev => ({ ...prev, start: e.target.value }))}
+                      />
+                      <span>to</span>
+                      <input
+                        type="date"
+                        aria-label="Comparison end"
+                        value={compareDateRange.end}
+                        min={compareDateRange.start}
+                        onChange={(e) => e.target.value && setCompareDateRange(prev => ({ ...prev, end: e.target.value }))}
+                      />
+                    </div>
+                  )}
+                  {compareMode !== 'off' && (
+                    <small className="compare-hint">
+                      {comparison
+                        ? `Comparing with ${comparisonRangeLabel}`
+                        : 'Pick a time range other than All Time to compare'}
+                    </small>
+                  )}
                   <label className="customize-option compact">
                     <span>View Granularity</span>
                     <div className="granularity-controls compact">
@@ -1998,6 +5390,16 @@ function App() {
                     <input type="checkbox" defaultChecked />
                     <span>Grid Lines</span>
                   </label>
+                  {viewMode === 'heatmap' && compareMode !== 'off' && (
+                    <label className="customize-option compact checkbox">
+                      <input
+                        type="checkbox"
+                        checked={showDifference}
+                        onChange={(e) => setShowDifference(e.target.checked)}
+                      />
+                      <span>Show Difference vs Comparison</span>
+                    </label>
+                  )}
                   {viewMode === 'bargraph' && (
                     <label className="customize-option compact checkbox">
                       <input
@@ -2011,6 +5413,272 @@ function App() {
                 </div>
               </div>
 
+              {viewMode === 'heatmap' && (
+                <div className="filter-section compact">
+                  <h4><Grid3x3 size={12} /> Cell Status</h4>
+                  <div className="customize-options compact">
+                    <label className="customize-option compact">
+                      <span>Rule</span>
+                      <select
+                        value={cellStatusRule}
+                        onChange={(e) => setCellStatusRule(e.target.value)}
+                        className="time-select compact"
+                      >
+                        {cellStatusRules.map(rule => (
+                          <option key={rule.id} value={rule.id}>{rule.label}</option>
+                        ))}
+                      </select>
+                    </label>
+                    {(cellStatusRule === 'thresholds' || cellStatusRule === 'failureRate') && (
+                      <div className="threshold-inputs">
+                        {['warning', 'fail'].map(level => (
+                          <label key={level} className="customize-option compact">
+                            <span>{level === 'warning' ? 'Warning from' : 'Fail from'} (% failed)</span>
+                            <input
+                              type="number"
+                              min={level === 'warning' ? 0 : failureThresholds.warning}
+                              max={level === 'warning' ? failureThresholds.fail : 100}
+                              value={failureThresholds[level]}
+                              onChange={(e) => handleFailureThresholdChange(level, e.target.value)}
+                              className="time-select compact"
+                            />
+                          </label>
+                        ))}
+                      </div>
+                    )}
+                  </div>
+                </div>
+              )}
+
+              {viewMode === 'heatmap' && (
+                <div className="filter-section compact">
+                  <h4><ArrowUpDown size={12} /> Rows</h4>
+                  <div className="customize-options compact">
+                    <label className="customize-option compact">
+                      <span>Rows show</span>
+                      <select
+                        value={heatmapRowDimension}
+                        onChange={(e) => setHeatmapRowDimension(e.target.value)}
+                        className="time-select compact"
+                      >
+                        {heatmapDimensions.map(dimension => (
+                          <option key={dimension.id} value={dimension.id}>{dimension.label}</option>
+                        ))}
+                      </select>
+                    </label>
+                    <label className="customize-option compact">
+                      <span>Limit</span>
+                      <select
+                        value={heatmapTopN}
+                        onChange={(e) => setHeatmapTopN(Number(e.target.value))}
+                        className="time-select compact"
+                      >
+                        {heatmapTopNOptions.map(count => (
+                          <option key={count} value={count}>{count ? `Top ${count}, rest as Other` : 'Show all'}</option>
+                        ))}
+                      </select>
+                    </label>
+                    <label className="customize-option compact">
+                      <span>Sort by</span>
+                      <select
+                        value={heatmapRowSort}
+                        onChange={(e) => setHeatmapRowSort(e.target.value)}
+                        className="time-select compact"
+                      >
+                        {heatmapRowSorts.map(sort => (
+                          <option key={sort.id} value={sort.id}>{sort.label}</option>
+                        ))}
+                      </select>
+                    </label>
+                    {heatmapRowDimension === 'activityType' && (
+                      <label className="customize-option compact checkbox">
+                        <input
+                          type="checkbox"
+                          checked={groupActivityTypes}
+                          onChange={(e) => setGroupActivityTypes(e.target.checked)}
+                        />
+                        <span>Group into Categories</span>
+                      </label>
+                    )}
+                    {groupActivityTypes && heatmapRowDimension === 'activityType' && (
+                      <div className="category-editor">
+                        <datalist id="activity-category-names">
+                          {Array.from(new Set(Object.values(activityCategories).filter(Boolean))).map(category => (
+                            <option key={category} value={category} />
+                          ))}
+                        </datalist>
+                        {activityTypes.map(type => (
+                          <label key={type} className="category-assignment">
+                            <span>{type}</span>
+                            <input
+                              type="text"
+                              list="activity-category-names"
+                              placeholder={UNCATEGORIZED}
+                              value={activityCategories[type] || ''}
+                              onChange={(e) => {
+                                const category = e.target.value;
+                                setActivityCategories(current => ({ ...current, [type]: category }));
+                              }}
+                            />
+                          </label>
+                        ))}
+                        <small>Click a category label on the heatmap to collapse it into a summary row</small>
+                      </div>
+                    )}
+                  </div>
+                </div>
+              )}
+
+              {viewMode === 'heatmap' && (
+                <div className="filter-section compact">
+                  <h4><Eye size={12} /> Intensity &amp; Color Scale</h4>
+                  <div className="customize-options compact">
+                    <label className="customize-option compact">
+                      <span>Normalization</span>
+                      <select
+                        value={intensityNormalization}
+                        onChange={(e) => setIntensityNormalization(e.target.value)}
+                        className="time-select compact"
+                      >
+                        {intensityNormalizations.map(option => (
+                          <option key={option.id} value={option.id}>{option.label}</option>
+                        ))}
+                      </select>
+                    </label>
+                    {intensityNormalization === 'quantile' && (
+                      <label className="customize-option compact">
+                        <span>Bins</span>
+                        <select
+                          value={quantileBins}
+                          onChange={(e) => setQuantileBins(Number(e.target.value))}
+                          className="time-select compact"
+                        >
+                          {quantileBinCounts.map(count => (
+                            <option key={count} value={count}>{count}</option>
+                          ))}
+                        </select>
+                      </label>
+                    )}
+                    <label className="customize-option compact">
+                      <span>Color scale</span>
+                      <select
+                        value={colorScale.type}
+                        onChange={(e) => setColorScale(current => ({ ...current, type: e.target.value }))}
+                        className="time-select compact"
+                      >
+                        {colorScaleTypes.map(type => (
+                          <option key={type.id} value={type.id}>{type.label}</option>
+                        ))}
+                      </select>
+                    </label>
+                    {colorScale.type !== 'status' && (
+                      <div className="color-scale-editor">
+                        <label className="customize-option compact">
+                          <span>Preset</span>
+                          <select
+                            value={(colorScalePresets[colorScale.type].find(preset => (
+                              preset.colors.join() === colorScale[colorScale.type].join()
+                            )) || { id: '' }).id}
+                            onChange={(e) => {
+                              const preset = colorScalePresets[colorScale.type].find(option => option.id === e.target.value);
+                              if (preset) setColorScale(current => ({ ...current, [current.type]: preset.colors }));
+                            }}
+                            className="time-select compact"
+                          >
+                            <option value="">Custom</option>
+                            {colorScalePresets[colorScale.type].map(preset => (
+                              <option key={preset.id} value={preset.id}>{preset.label}</option>
+                            ))}
+                          </select>
+                        </label>
+                        <div className="color-stops">
+                          {colorScale[colorScale.type].map((color, i, colors) => (
+                            <label key={i} className="color-stop">
+                              <input
+                                type="color"
+                                value={color}
+                                onChange={(e) => {
+                                  const value = e.target.value;
+                                  setColorScale(current => ({
+                                    ...current,
+                                    [current.type]: current[current.type].map((stop, j) => (j === i ? value : stop))
+                                  }));
+                                }}
+                              />
+                              <span>{i === 0 ? 'Low' : i === colors.length - 1 ? 'High' : 'Mid'}</span>
+                            </label>
+                          ))}
+                        </div>
+                        {colorScale.type === 'diverging' && (
+                          <label className="customize-option compact">
+                            <span>Midpoint ({Math.round(colorScale.midpoint * 100)}% intensity)</span>
+                            <input
+                              type="range"
+                              min={0.1}
+                              max={0.9}
+                              step={0.05}
+                              value={colorScale.midpoint}
+                              onChange={(e) => setColorScale(current => ({ ...current, midpoint: Number(e.target.value) }))}
+                            />
+                          </label>
+                        )}
+                        <div className="color-scale-preview" style={{ background: colorScaleGradient(colorScale) }} />
+                        {(showAccessibilityPatterns || cellStatusRule === 'failureRate') && (
+                          <small className="color-scale-note">
+                            {showAccessibilityPatterns
+                              ? 'Accessibility patterns are on: cells keep their status patterns'
+                              : 'The failure-rate color scale rule colors the cells instead'}
+                          </small>
+                        )}
+                      </div>
+                    )}
+                  </div>
+                </div>
+              )}
+
+              <div className="filter-section compact">
+                <h4><AlertTriangle size={12} /> Anomaly Detection</h4>
+                <div className="customize-options compact">
+                  <label className="customize-option compact">
+                    <span>Detector</span>
+                    <select
+                      value={anomalyMethod}
+                      onChange={(e) => setAnomalyMethod(e.target.value)}
+                      className="time-select compact"
+                    >
+                      {anomalyMethods.map(method => (
+                        <option key={method.id} value={method.id}>{method.label}</option>
+                      ))}
+                    </select>
+                  </label>
+                  <label className="customize-option compact">
+                    <span>Sensitivity</span>
+                    <select
+                      value={anomalySensitivity}
+                      onChange={(e) => setAnomalySensitivity(e.target.value)}
+                      className="time-select compact"
+                    >
+                      {anomalySensitivities.map(option => (
+                        <option key={option.id} value={option.id}>{option.label}</option>
+                      ))}
+                    </select>
+                  </label>
+                  {anomalyMethod !== anomalyDetection.method && (
+                    <small className="compare-hint">
+                      Seasonal decomposition needs two full seasons at this granularity, using the rolling z-score
+                    </small>
+                  )}
+                  <label className="customize-option compact checkbox">
+                    <input
+                      type="checkbox"
+                      checked={showAnomalies}
+                      onChange={(e) => setShowAnomalies(e.target.checked)}
+                    />
+                    <span>Highlight Anomalies</span>
+                  </label>
+                </div>
+              </div>
+
               <div className="filter-actions compact">
                 <button className="apply-filters compact" onClick={() => setShowCustomize(false)}>
                   <Activity size={12} />
@@ -2019,8 +5687,10 @@ function App() {
                 <button className="clear-filters compact" onClick={() => {
                   setShowGradient(true);
                   setShowAccessibilityPatterns(false);
+                  setShowDifference(false);
                   setGranularity('weekly');
-                  setTimeRange('all'); // Changed to 'all'
+                  pickTimeRange('all'); // Changed to 'all'
+                  setCompareMode('off');
                 }}>
                   <RotateCcw size={12} />
                   Reset
@@ -2080,7 +5750,7 @@ function App() {
                       />
                       <span className="activity-name">{type}</span>
                       <span className="activity-count">
-                        {dummyData.filter(d => d.activityType === type).length}
+                        {validEvents.filter(d => d.activityType === type).length}
                       </span>
                     </label>
                   ))}
@@ -2107,13 +5777,31 @@ function App() {
                       </span>
                       <span className="status-name">{status.charAt(0).toUpperCase() + status.slice(1)}</span>
                       <span className="status-count">
-                        {dummyData.filter(d => d.status === status).length}
+                        {validEvents.filter(d => d.status === status).length}
                       </span>
                     </label>
                   ))}
                 </div>
               </div>
 
+              <DimensionFilter
+                title="Users"
+                icon={<Users size={12} />}
+                placeholder="Search users..."
+                values={dimensionValues.user}
+                selected={selectedUsers}
+                onChange={setSelectedUsers}
+              />
+
+              <DimensionFilter
+                title="Devices"
+                icon={<Monitor size={12} />}
+                placeholder="Search devices..."
+                values={dimensionValues.device}
+                selected={selectedDevices}
+                onChange={setSelectedDevices}
+              />
+
               <div className="filter-actions compact">
                 <button className="apply-filters compact" onClick={() => setShowFilters(false)}>
                   <Activity size={12} />
@@ -2144,6 +5832,9 @@ function App() {
             <div className="date-picker-content">
               <div className="date-picker-info">
                 <p>Select a custom date range to filter your data. Format: DD.MM.YYYY</p>
+                <p className="date-picker-timezone">
+                  <Globe size={12} /> Days are interpreted in {timeZoneLabel(timeZone)}
+                </p>
                 <div className="date-range-examples">
                   <strong>Examples:</strong>
                   <span>01.01.2025 - 31.12.2025</span>
@@ -2160,21 +5851,21 @@ function App() {
                     value={customDateRange.start}
                     onChange={(e) => {
                       const newStart = e.target.value;
-                      setCustomDateRange(prev => ({ ...prev, start: newStart }));
+                      pickCustomDateRange(prev => ({ ...prev, start: newStart }));
                       if (newStart && customDateRange.end) {
-                        setTimeRange('custom');
+                        pickTimeRange('custom');
                         addNotification(`Date range auto-applied: ${format(parseISO(newStart), 'dd.MM.yyyy')} - ${format(parseISO(customDateRange.end), 'dd.MM.yyyy')}`, 'success');
                       }
                     }}
                     onKeyDown={(e) => {
                       if (e.key === 'Enter' && customDateRange.start && customDateRange.end) {
-                        setTimeRange('custom');
+                        pickTimeRange('custom');
                         setShowDateRangePicker(false);
                         addNotification(`Date range applied: ${format(parseISO(customDateRange.start), 'dd.MM.yyyy')} - ${format(parseISO(customDateRange.end), 'dd.MM.yyyy')}`, 'success');
                       }
                     }}
                     className="date-input"
-                    max={customDateRange.end || format(new Date(), 'yyyy-MM-dd')}
+                    max={customDateRange.end || todayInZone(timeZone)}
                   />
                   <span className="date-display">
                     {customDateRange.start ? format(parseISO(customDateRange.start), 'dd.MM.yyyy') : 'Select start date'}
@@ -2193,22 +5884,22 @@ function App() {
                     value={customDateRange.end}
                     onChange={(e) => {
                       const newEnd = e.target.value;
-                      setCustomDateRange(prev => ({ ...prev, end: newEnd }));
+                      pickCustomDateRange(prev => ({ ...prev, end: newEnd }));
                       if (customDateRange.start && newEnd) {
-                        setTimeRange('custom');
+                        pickTimeRange('custom');
                         addNotification(`Date range auto-applied: ${format(parseISO(customDateRange.start), 'dd.MM.yyyy')} - ${format(parseISO(newEnd), 'dd.MM.yyyy')}`, 'success');
                       }
                     }}
                     onKeyDown={(e) => {
                       if (e.key === 'Enter' && customDateRange.start && customDateRange.end) {
-                        setTimeRange('custom');
+                        pickTimeRange('custom');
                         setShowDateRangePicker(false);
                         addNotification(`Date range applied: ${format(parseISO(customDateRange.start), 'dd.MM.yyyy')} - ${format(parseISO(customDateRange.end), 'dd.MM.yyyy')}`, 'success');
                       }
                     }}
                     className="date-input"
                     min={customDateRange.start}
-                    max={format(new Date(), 'yyyy-MM-dd')}
+                    max={todayInZone(timeZone)}
                   />
                   <span className="date-display">
                     {customDateRange.end ? format(parseISO(customDateRange.end), 'dd.MM.yyyy') : 'Select end date'}
@@ -2222,10 +5913,10 @@ function App() {
                   <button
                     className="quick-range-btn"
                     onClick={() => {
-                      const end = format(new Date(), 'yyyy-MM-dd');
-                      const start = format(subDays(new Date(), 7), 'yyyy-MM-dd');
-                      setCustomDateRange({ start, end });
-                      setTimeRange('custom');
+                      const end = todayInZone(timeZone);
+                      const start = format(subDays(parseISO(end), 7), 'yyyy-MM-dd');
+                      pickCustomDateRange({ start, end });
+                      pickTimeRange('custom');
                       addNotification(`Quick range applied: Last 7 Days`, 'success');
                     }}
                   >
@@ -2234,10 +5925,10 @@ function App() {
                   <button
                     className="quick-range-btn"
                     onClick={() => {
-                      const end = format(new Date(), 'yyyy-MM-dd');
-                      const start = format(subDays(new Date(), 30), 'yyyy-MM-dd');
-                      setCustomDateRange({ start, end });
-                      setTimeRange('custom');
+                      const end = todayInZone(timeZone);
+                      const start = format(subDays(parseISO(end), 30), 'yyyy-MM-dd');
+                      pickCustomDateRange({ start, end });
+                      pickTimeRange('custom');
                       addNotification(`Quick range applied: Last 30 Days`, 'success');
                     }}
                   >
@@ -2246,10 +5937,10 @@ function App() {
                   <button
                     className="quick-range-btn"
                     onClick={() => {
-                      const end = format(new Date(), 'yyyy-MM-dd');
-                      const start = format(subDays(new Date(), 90), 'yyyy-MM-dd');
-                      setCustomDateRange({ start, end });
-                      setTimeRange('custom');
+                      const end = todayInZone(timeZone);
+                      const start = format(subDays(parseISO(end), 90), 'yyyy-MM-dd');
+                      pickCustomDateRange({ start, end });
+                      pickTimeRange('custom');
                       addNotification(`Quick range applied: Last 3 Months`, 'success');
                     }}
                   >
@@ -2258,10 +5949,10 @@ function App() {
                   <button
                     className="quick-range-btn"
                     onClick={() => {
-                      const end = format(new Date(), 'yyyy-MM-dd');
-                      const start = format(subDays(new Date(), 365), 'yyyy-MM-dd');
-                      setCustomDateRange({ start, end });
-                      setTimeRange('custom');
+                      const end = todayInZone(timeZone);
+                      const start = format(subDays(parseISO(end), 365), 'yyyy-MM-dd');
+                      pickCustomDateRange({ start, end });
+                      pickTimeRange('custom');
                       addNotification(`Quick range applied: Last Year`, 'success');
                     }}
                   >
@@ -2270,8 +5961,8 @@ function App() {
                   <button
                     className="quick-range-btn"
                     onClick={() => {
-                      setCustomDateRange({ start: '2025-01-01', end: '2026-08-03' });
-                      setTimeRange('custom');
+                      pickCustomDateRange({ start: '2025-01-01', end: '2026-08-03' });
+                      pickTimeRange('custom');
                       addNotification(`Quick range applied: 2025-2026`, 'success');
                     }}
                   >
@@ -2299,7 +5990,7 @@ function App() {
                   className="apply-date-range"
                   onClick={() => {
                     if (customDateRange.start && customDateRange.end) {
-                      setTimeRange('custom');
+                      pickTimeRange('custom');
                       setShowDateRangePicker(false);
                       addNotification(`Date range applied: ${format(parseISO(customDateRange.start), 'dd.MM.yyyy')} - ${format(parseISO(customDateRange.end), 'dd.MM.yyyy')}`, 'success');
                     }
@@ -2312,8 +6003,8 @@ function App() {
                 <button
                   className="clear-date-range"
                   onClick={() => {
-                    setCustomDateRange({ start: '', end: '' });
-                    setTimeRange('all'); // Reset to default 'all'
+                    pickCustomDateRange({ start: '', end: '' });
+                    pickTimeRange('all'); // Reset to default 'all'
                   }}
                 >
                   <RotateCcw size={12} />
@@ -2381,6 +6072,11 @@ function App() {
         </div>
       )}
 
+      {/* Data Quality Panel */}
+      {showDataQuality && (
+        <DataQualityPanel quality={dataQuality} timeZone={timeZone} onClose={() => setShowDataQuality(false)} />
+      )}
+
       {/* Live Preview Panel */}
       {showPreview && (
         <div className="preview-panel">
@@ -2401,13 +6097,14 @@ function App() {
           <div className="preview-content">
             <div className="mini-chart">
               <HeatmapChart
-                data={filteredData.slice(0, 20)}
+                aggregation={aggregation}
                 width={600}
                 height={200}
                 onCellClick={optimizedCellClick}
                 showGradient={showGradient}
                 showAccessibilityPatterns={showAccessibilityPatterns}
                 granularity={granularity}
+                timeZone={timeZone}
               />
             </div>
           </div>
@@ -2430,13 +6127,36 @@ function App() {
           </div>
         </div>
 
+        {viewMode === 'heatmap' && (
+          <div className="legend-section">
+            <h4>Cell Status: {cellStatusRules.find(rule => rule.id === cellStatusRule).label}</h4>
+            {cellStatusRule === 'failureRate' && (
+              <div className="intensity-scale">
+                <span>0%</span>
+                <div
+                  className="failure-rate-gradient"
+                  style={{
+                    background: `linear-gradient(to right, ${statusColorMap.success}, ${statusColorMap.warning} ${failureThresholds.warning / failureThresholds.fail * 100}%, ${statusColorMap.fail})`
+                  }}
+                ></div>
+                <span>≥{failureThresholds.fail}% failed</span>
+              </div>
+            )}
+            <small className="legend-rule">{describeStatusRule(cellStatusRule, failureThresholds)}</small>
+          </div>
+        )}
+
         <div className="legend-section">
           <h4>View: {granularity}</h4>
-          <div className="intensity-scale">
-            <span>Low</span>
-            <div className="intensity-gradient"></div>
-            <span>High</span>
-          </div>
+          {viewMode === 'heatmap' && intensityLegend ? (
+            <IntensityLegend legend={intensityLegend} colorScale={colorScale} />
+          ) : (
+            <div className="intensity-scale">
+              <span>Low</span>
+              <div className="intensity-gradient"></div>
+              <span>High</span>
+            </div>
+          )}
         </div>
 
         <div className="legend-section">
@@ -2505,7 +6225,7 @@ function App() {
                           {statusIcons[item.status]} {item.status}
                         </span>
                       </td>
-                      <td>{format(parseISO(item.date), 'MMM dd, yyyy')}</td>
+                      <td>{formatInZone(parseISO(item.timestamp), 'MMM dd, yyyy', timeZone)}</td>
                       <td>{item.user}</td>
                     </tr>
                   ))}
@@ -2574,8 +6294,8 @@ function App() {
               </div>
               <div className="tab-card">
                 <h3>Anomalies Detected</h3>
-                <div className="metric-large">{(statistics.failedEvents * 0.3) | 0}</div>
-                <p>Suspicious behavior instances</p>
+                <div className="metric-large">{anomalyDetection.anomalies.length}</div>
+                <p>Periods outside the expected range</p>
               </div>
               <div className="tab-card">
                 <h3>User Profiles</h3>
@@ -2595,6 +6315,43 @@ function App() {
               {renderChart(filteredData, 'Behaviour')}
             </div>
 
+            <div className="transaction-table anomaly-table">
+              <h4>🚨 Anomalous Periods</h4>
+              <p className="anomaly-table-meta">
+                {anomalyMethods.find(method => method.id === anomalyDetection.method).label} on {granularity} event
+                totals, {anomalySensitivities.find(option => option.id === anomalySensitivity).label.toLowerCase()} sensitivity
+              </p>
+              {anomalyDetection.anomalies.length === 0 ? (
+                <p className="anomaly-table-empty">No anomalous periods in the current view.</p>
+              ) : (
+                <table>
+                  <thead>
+                    <tr>
+                      <th>Period</th>
+                      <th>Actual</th>
+                      <th>Expected</th>
+                      <th>Deviation</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {anomalyDetection.anomalies.map(anomaly => (
+                      <tr key={anomaly.period}>
+                        <td>{anomaly.periodLabel}</td>
+                        <td>{anomaly.actual}</td>
+                        <td>{anomaly.expected}</td>
+                        <td>
+                          <span className={`anomaly-badge ${anomaly.direction}`}>
+                            {anomaly.direction === 'spike' ? <ArrowUp size={12} /> : <ArrowDown size={12} />}
+                            {anomaly.zScore > 0 ? '+' : ''}{anomaly.zScore}σ
+                          </span>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+            </div>
+
             <div className="behavior-patterns">
               <h4>Behavior Patterns</h4>
               <div className="pattern-list">
@@ -2831,10 +6588,19 @@ function App() {
                     </div>
                     <div className="summary-label">Dominant Status</div>
                   </div>
-                  <div className="summary-stat">
-                    <div className="summary-value">{Math.round(selectedCell.intensity * 100)}%</div>
-                    <div className="summary-label">Intensity</div>
-                  </div>
+                  {selectedCell.delta !== undefined ? (
+                    <div className="summary-stat">
+                      <div className="summary-value">
+                        {selectedCell.delta > 0 ? '+' : ''}{selectedCell.delta}
+                      </div>
+                      <div className="summary-label">vs {selectedCell.comparisonCount} in Comparison</div>
+                    </div>
+                  ) : (
+                    <div className="summary-stat">
+                      <div className="summary-value">{Math.round(selectedCell.intensity * 100)}%</div>
+                      <div className="summary-label">Intensity</div>
+                    </div>
+                  )}
                   <div className="summary-stat">
                     <div className="summary-value">{new Set(selectedCell.events.map(e => e.user)).size}</div>
                     <div className="summary-label">Unique Users</div>
@@ -2845,45 +6611,11 @@ function App() {
               {selectedCell.events.length > 0 && (
                 <div className="events-section">
                   <h4>Event Details ({selectedCell.events.length})</h4>
-                  <div className="events-grid">
-                    {selectedCell.events.map((event, index) => (
-                      <div key={index} className="event-card enhanced">
-                        <div className="event-header">
-                          <span className="event-date">
-                            {format(parseISO(event.date), 'MMM dd, yyyy HH:mm')}
-                          </span>
-                          <span
-                            className="event-status"
-                            style={{ backgroundColor: statusColorMap[event.status] }}
-                          >
-                            {statusIcons[event.status]} {event.status}
-                          </span>
-                        </div>
-                        <div className="event-details">
-                          <div className="event-detail-row">
-                            <Users size={14} />
-                            <span><strong>User:</strong> {event.user}</span>
-                          </div>
-                          <div className="event-detail-row">
-                            <Activity size={14} />
-                            <span><strong>Device:</strong> {event.device}</span>
-                          </div>
-                          <div className="event-detail-row">
-                            <span><strong>IP:</strong> 192.168.{Math.floor(Math.random() * 255)}.{Math.floor(Math.random() * 255)}</span>
-                          </div>
-                          <div className="event-detail-row">
-                            <span><strong>Session:</strong> sess_{Math.random().toString(36).substr(2, 9)}</span>
-                          </div>
-                          <div className="event-detail-row">
-                            <span><strong>Duration:</strong> {Math.floor(Math.random() * 300) + 10}s</span>
-                          </div>
-                          <div className="event-detail-row">
-                            <span><strong>Location:</strong> {['New York', 'London', 'Tokyo', 'Sydney', 'Berlin'][Math.floor(Math.random() * 5)]}</span>
-                          </div>
-                        </div>
-                      </div>
-                    ))}
-                  </div>
+                  <EventList
+                    key={`${selectedCell.activityType}-${selectedCell.period}`}
+                    events={selectedCell.events}
+                    timeZone={timeZone}
+                  />
                 </div>
               )}
             </div>
@@ -0,0 +1,37 @@
+// Activity type -> category assignments for grouping heatmap rows, kept in localStorage.
+// Types without a category are grouped under UNCATEGORIZED.
+
+const STORAGE_KEY = 'activity-dashboard:activity-categories';
+
+export const UNCATEGORIZED = 'Uncategorized';
+
+export const defaultActivityCategories = {
+  Login: 'Auth',
+  'User Registration': 'Auth',
+  'Data Export': 'Data',
+  'Database Query': 'Data',
+  'File Upload': 'Data',
+  'Email Send': 'Messaging',
+  API: 'System',
+  'System Backup': 'System'
+};
+
+export const categoryOf = (categories, activityType) => (categories[activityType] || '').trim() || UNCATEGORIZED;
+
+export const loadActivityCategories = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY) || 'null');
+    if (!stored || typeof stored !== 'object' || Array.isArray(stored)) return { ...defaultActivityCategories };
+    return Object.fromEntries(Object.entries(stored).filter(([, category]) => typeof category === 'string'));
+  } catch {
+    return { ...defaultActivityCategories };
+  }
+};
+
+export const storeActivityCategories = (categories) => {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(categories));
+  } catch {
+    // Storage may be unavailable, the categories just won't persist
+  }
+};
@@ -0,0 +1,802 @@
+import { format, parseISO, startOfWeek, eachWeekOfInterval, eachDayOfInterval, eachMonthOfInterval, getISODay, addDays, addMonths, endOfMonth } from 'date-fns';
+import { eventPeriodKey } from './timezone';
+
+// Chart aggregation engine. The event list is scanned once into a bucket index: one row
+// per (hour, activityType, status, user, device) with its event count and the indices of
+// its events. Every chart granularity, the stat cards and the analytics tab are roll-ups
+// of those rows, so they always agree and never rescan the events.
+// Building and the queries are pure functions of the events and the index; the page runs
+// them in the aggregation worker (see aggregationEngine.js) and gets back only the query
+// results.
+
+const KEY_SEPARATOR = '\u0001';
+
+export const emptyBucketIndex = { activityTypes: [], rows: [], total: 0 };
+
+// Row key of an event or a bucket row in its hour
+const bucketKey = (hour, { activityType, status, user, device }) => (
+  [hour, activityType, status, user, device].join(KEY_SEPARATOR)
+);
+
+// Builds a bucket index in steps: add() indexes events after the ones already added and
+// index() returns the index so far. With `base` (a previous index and the
+// diffEventList of its event list against the new one) the kept events' rows carry over
+// under their new positions, so only the added events need indexing.
+export const createBucketIndexBuilder = (timeZone, base = null) => {
+  const rowsByKey = new Map();
+  let total = 0;
+
+  if (base) {
+    const { remap, kept } = base.diff;
+    base.index.rows.forEach(row => {
+      const eventIndices = [];
+      row.eventIndices.forEach(i => {
+        if (remap[i] >= 0) eventIndices.push(remap[i]);
+      });
+      if (eventIndices.length > 0) {
+        rowsByKey.set(bucketKey(row.hour, row), { ...row, count: eventIndices.length, eventIndices });
+      }
+    });
+    total = kept;
+  }
+
+  const add = (events) => {
+    events.forEach(event => {
+      // Hour keys are wall-clock 'yyyy-MM-dd HH' in the display zone; coarser periods,
+      // hour-of-day and day all derive from them without another timezone conversion
+      const hour = eventPeriodKey(event, 'hourly', timeZone);
+      const key = bucketKey(hour, event);
+
+      let row = rowsByKey.get(key);
+      if (!row) {
+        row = {
+          hour,
+          activityType: event.activityType,
+          status: event.status,
+          user: event.user,
+          device: event.device,
+          count: 0,
+          eventIndices: []
+        };
+        rowsByKey.set(key, row);
+      }
+      row.count++;
+      row.eventIndices.push(total++);
+    });
+  };
+
+  const index = () => {
+    const rows = Array.from(rowsByKey.values());
+    return {
+      activityTypes: Array.from(new Set(rows.map(row => row.activityType))),
+      rows,
+      total
+    };
+  };
+
+  return { add, index };
+};
+
+// How `data` follows on from an indexed list `base` (of events, or of event ids): the
+// leading `kept` entries of `data` are base entries in their original order (`remap` gives
+// each base entry's new position, -1 when dropped) and `added` are the entries after them.
+// Live streams and appended imports only add events, and a rolling time range or a
+// narrower filter only drops some.
+export const diffEventList = (base, data) => {
+  const remap = new Int32Array(base.length).fill(-1);
+  let kept = 0;
+  for (let i = 0; i < base.length && kept < data.length; i++) {
+    if (base[i] === data[kept]) remap[i] = kept++;
+  }
+  return { remap, kept, added: data.slice(kept) };
+};
+
+const weekStarts = new Map();
+
+// Period key of an hour key at a granularity; same keys as eventPeriodKey produces
+export const periodOfHour = (hour, granularity) => {
+  switch (granularity) {
+    case 'hourly':
+      return hour;
+    case 'daily':
+      return hour.slice(0, 10);
+    case 'monthly':
+      return hour.slice(0, 7);
+    case 'yearly':
+      return hour.slice(0, 4);
+    default: {
+      // Hour keys are wall-clock dates, so week arithmetic on them is zone-free
+      const day = hour.slice(0, 10);
+      if (!weekStarts.has(day)) {
+        weekStarts.set(day, format(startOfWeek(parseISO(day)), 'yyyy-MM-dd'));
+      }
+      return weekStarts.get(day);
+    }
+  }
+};
+
+export const periodLabel = (period, granularity) => {
+  switch (granularity) {
+    case 'hourly':
+      return format(parseISO(period + ':00:00'), 'MMM dd HH:mm');
+    case 'monthly':
+      return format(parseISO(period + '-01'), 'MMM yyyy');
+    case 'yearly':
+      return period;
+    default:
+      return format(parseISO(period), 'MMM dd');
+  }
+};
+
+// First and last day ('yyyy-MM-dd') a period key covers
+export const periodDayRange = (period, granularity) => {
+  switch (granularity) {
+    case 'hourly':
+    case 'daily':
+      return { start: period.slice(0, 10), end: period.slice(0, 10) };
+    case 'monthly':
+      return { start: `${period}-01`, end: format(endOfMonth(parseISO(`${period}-01`)), 'yyyy-MM-dd') };
+    case 'yearly':
+      return { start: `${period}-01-01`, end: `${period}-12-31` };
+    default:
+      return { start: period, end: format(addDays(parseISO(period), 6), 'yyyy-MM-dd') };
+  }
+};
+
+// The `count` period keys after a period. Keys are wall-clock, so the arithmetic is on
+// dates and hour numbers and never crosses a DST change.
+export const followingPeriods = (period, granularity, count) => Array.from({ length: count }, (_, i) => {
+  const step = i + 1;
+  switch (granularity) {
+    case 'hourly': {
+      const hour = Number(period.slice(11)) + step;
+      const day = format(addDays(parseISO(period.slice(0, 10)), Math.floor(hour / 24)), 'yyyy-MM-dd');
+      return `${day} ${String(hour % 24).padStart(2, '0')}`;
+    }
+    case 'daily':
+      return format(addDays(parseISO(period), step), 'yyyy-MM-dd');
+    case 'monthly':
+      return format(addMonths(parseISO(`${period}-01`), step), 'yyyy-MM');
+    case 'yearly':
+      return String(Number(period) + step);
+    default:
+      return format(addDays(parseISO(period), 7 * step), 'yyyy-MM-dd');
+  }
+});
+
+// Periods in one seasonal cycle at each granularity (hour of day, day of week, week and
+// month of year); yearly totals have no season
+export const seasonLengths = { hourly: 24, daily: 7, weekly: 52, monthly: 12 };
+
+const emptyCounts = () => ({ total: 0, success: 0, warning: 0, fail: 0 });
+
+// Status shown for a bucket: its worst one, or null when it has no events
+const worstStatus = (counts) => {
+  if (counts.total === 0) return null;
+  if (counts.fail) return 'fail';
+  if (counts.warning) return 'warning';
+  return 'success';
+};
+
+// How a heatmap cell's events roll up into the one status it is colored by
+export const cellStatusRules = [
+  { id: 'worst', label: 'Worst status wins' },
+  { id: 'majority', label: 'Majority status' },
+  { id: 'thresholds', label: 'Failure-rate thresholds' },
+  { id: 'failureRate', label: 'Failure-rate color scale' }
+];
+
+export const defaultFailureThresholds = { warning: 5, fail: 20 }; // percent of events
+
+const statusSeverity = ['success', 'warning', 'fail'];
+
+// Status of a bucket's counts under a rule, or null when it has no events. The color
+// scale rule uses the thresholds for its status, e.g. for the accessibility patterns.
+export const ruleStatus = (counts, rule, thresholds = defaultFailureThresholds) => {
+  if (counts.total === 0) return null;
+  switch (rule) {
+    case 'majority':
+      // Ties go to the worse status
+      return statusSeverity.reduce((best, status) => ((counts[status] || 0) >= (counts[best] || 0) ? status : best));
+    case 'thresholds':
+    case 'failureRate': {
+      const failureRate = ((counts.fail || 0) / counts.total) * 100;
+      if (failureRate >= thresholds.fail) return 'fail';
+      return failureRate >= thresholds.warning ? 'warning' : 'success';
+    }
+    default:
+      return worstStatus(counts);
+  }
+};
+
+const addRow = (counts, row) => {
+  counts.total += row.count;
+  counts[row.status] = (counts[row.status] || 0) + row.count;
+};
+
+// Sum rows into counts per key; keyOf returns the bucket a row falls into
+const countBy = (index, keyOf) => {
+  const counts = new Map();
+  index.rows.forEach(row => {
+    const key = keyOf(row);
+    if (!counts.has(key)) counts.set(key, emptyCounts());
+    addRow(counts.get(key), row);
+  });
+  return counts;
+};
+
+// X domain for a granularity: periods with events, or every week between the first and
+// last event for the weekly view so quiet weeks show as gaps
+const periodDomain = (index, granularity, periodsWithEvents) => {
+  if (['hourly', 'daily', 'monthly', 'yearly'].includes(granularity)) {
+    return Array.from(periodsWithEvents).sort();
+  }
+  const days = index.rows.map(row => row.hour.slice(0, 10)).sort();
+  return eachWeekOfInterval({ start: parseISO(days[0]), end: parseISO(days[days.length - 1]) })
+    .map(week => format(week, 'yyyy-MM-dd'));
+};
+
+// Every period from the first to the last event, empty ones included, so a time series
+// has no gaps. Hours are generated per day from their keys to stay zone-free.
+const continuousPeriodDomain = (index, granularity) => {
+  const first = index.rows.reduce((min, row) => (row.hour < min ? row.hour : min), index.rows[0].hour);
+  const last = index.rows.reduce((max, row) => (row.hour > max ? row.hour : max), index.rows[0].hour);
+  const days = eachDayOfInterval({ start: parseISO(first.slice(0, 10)), end: parseISO(last.slice(0, 10)) })
+    .map(day => format(day, 'yyyy-MM-dd'));
+
+  switch (granularity) {
+    case 'hourly':
+      return days
+        .flatMap(day => Array.from({ length: 24 }, (_, hour) => `${day} ${String(hour).padStart(2, '0')}`))
+        .filter(hour => hour >= first && hour <= last);
+    case 'daily':
+      return days;
+    case 'monthly':
+      return eachMonthOfInterval({ start: parseISO(first.slice(0, 10)), end: parseISO(last.slice(0, 10)) })
+        .map(month => format(month, 'yyyy-MM'));
+    case 'yearly':
+      return Array.from(
+        { length: Number(last.slice(0, 4)) - Number(first.slice(0, 4)) + 1 },
+        (_, i) => String(Number(first.slice(0, 4)) + i)
+      );
+    default:
+      return periodDomain(index, granularity);
+  }
+};
+
+// Index covering the rows of two indexes, for x domains spanning both
+const combinedExtent = (index, comparisonIndex) => (
+  comparisonIndex ? { rows: [...index.rows, ...comparisonIndex.rows] } : index
+);
+
+// Per-period totals and status counts for the bar graph, with period-over-period trend.
+// byType holds the period's count per activity type for the per-type bar modes.
+// With a comparison index (events shifted onto the same periods, see comparison.js) each
+// period also carries the comparison total and the change against it.
+export const queryBarSeries = (index, granularity, comparisonIndex = null) => {
+  if (index.total === 0 && !(comparisonIndex && comparisonIndex.total)) return [];
+
+  const totals = countBy(index, row => periodOfHour(row.hour, granularity));
+  const typeCounts = new Map();
+  index.rows.forEach(row => {
+    const period = periodOfHour(row.hour, granularity);
+    if (!typeCounts.has(period)) typeCounts.set(period, {});
+    const byType = typeCounts.get(period);
+    byType[row.activityType] = (byType[row.activityType] || 0) + row.count;
+  });
+  const comparisonTotals = comparisonIndex
+    ? countBy(comparisonIndex, row => periodOfHour(row.hour, granularity))
+    : new Map();
+  const periods = periodDomain(
+    combinedExtent(index, comparisonIndex),
+    granularity,
+    new Set([...totals.keys(), ...comparisonTotals.keys()])
+  );
+
+  return periods.map((period, i) => {
+    const current = { period, ...emptyCounts(), ...totals.get(period) };
+    const previousTotal = i > 0 ? (totals.get(periods[i - 1]) || emptyCounts()).total : 0;
+    const trend = previousTotal > 0 ? ((current.total - previousTotal) / previousTotal) * 100 : 0;
+    const comparisonTotal = comparisonIndex ? (comparisonTotals.get(period) || emptyCounts()).total : null;
+
+    return {
+      ...current,
+      byType: typeCounts.get(period) || {},
+      periodLabel: periodLabel(period, granularity),
+      trend: Math.round(trend),
+      trendDirection: trend > 0 ? 'up' : trend < 0 ? 'down' : 'stable',
+      comparisonTotal,
+      comparisonChange: comparisonTotal > 0 ? Math.round(((current.total - comparisonTotal) / comparisonTotal) * 100) : null
+    };
+  });
+};
+
+// Per-period status and activity type counts for the line chart, over a continuous domain
+// so quiet periods count as zero in moving averages
+export const queryTimeSeries = (index, granularity) => {
+  if (index.total === 0) return [];
+
+  const buckets = new Map();
+  index.rows.forEach(row => {
+    const period = periodOfHour(row.hour, granularity);
+    if (!buckets.has(period)) buckets.set(period, { ...emptyCounts(), byType: {} });
+    const bucket = buckets.get(period);
+    addRow(bucket, row);
+    bucket.byType[row.activityType] = (bucket.byType[row.activityType] || 0) + row.count;
+  });
+
+  return continuousPeriodDomain(index, granularity).map(period => ({
+    period,
+    periodLabel: periodLabel(period, granularity),
+    ...emptyCounts(),
+    byType: {},
+    ...buckets.get(period)
+  }));
+};
+
+// Trailing moving window over a series: mean, min and max of the last `size` values.
+// The first periods average over the values available so far.
+export const movingWindow = (values, size) => values.map((_, i) => {
+  const window = values.slice(Math.max(0, i - size + 1), i + 1);
+  return {
+    mean: window.reduce((sum, value) => sum + value, 0) / window.length,
+    min: Math.min(...window),
+    max: Math.max(...window)
+  };
+});
+
+// Fields of the bucket index the heatmap can put on its Y axis
+export const heatmapDimensions = [
+  { id: 'activityType', label: 'Activity type', plural: 'activity types' },
+  { id: 'user', label: 'User', plural: 'users' },
+  { id: 'device', label: 'Device', plural: 'devices' },
+  { id: 'status', label: 'Status', plural: 'statuses' }
+];
+
+export const heatmapTopNOptions = [0, 5, 10, 20, 50]; // 0 shows every value
+
+// Row values of a heatmap dimension in first-appearance order. With `topN`, only the
+// values with the most events get their own row and the rest share an "Other" row, last.
+// Returns the values, the Other row's value (or null) and the row value of a bucket index row.
+const heatmapRowValues = (extent, dimension, topN) => {
+  const totals = new Map();
+  extent.rows.forEach(row => totals.set(row[dimension], (totals.get(row[dimension]) || 0) + row.count));
+  const values = Array.from(totals.keys());
+  if (!topN || values.length <= topN) {
+    return { values, otherValue: null, valueOf: row => row[dimension] };
+  }
+
+  const top = new Set([...values].sort((a, b) => totals.get(b) - totals.get(a)).slice(0, topN));
+  const { plural } = heatmapDimensions.find(option => option.id === dimension);
+  const other = `Other (${values.length - topN} more ${plural})`;
+  return {
+    values: [...values.filter(value => top.has(value)), other],
+    otherValue: other,
+    valueOf: row => (top.has(row[dimension]) ? row[dimension] : other)
+  };
+};
+
+// Heatmap rows (values of `dimension`, activity types by default), x domain (period keys)
+// and one cell per row value x period. A cell carries its status counts and its worst
+// status (ruleStatus applies the other rules); intensity is its count relative to the
+// busiest period of the same row. Cells reference their events by index into the indexed
+// data. `extent` widens the rows and periods, e.g. to the union with a comparison index;
+// `topN` limits the rows (see heatmapRowValues).
+export const queryHeatmapGrid = (index, granularity, { extent = index, dimension = 'activityType', topN = 0 } = {}) => {
+  if (extent.rows.length === 0) {
+    return { dimension, rowValues: [], otherValue: null, periods: [], cells: [], valueOf: row => row[dimension] };
+  }
+
+  const { values: rowValues, otherValue, valueOf } = heatmapRowValues(extent, dimension, topN);
+  const buckets = new Map();
+  index.rows.forEach(row => {
+    const key = valueOf(row) + KEY_SEPARATOR + periodOfHour(row.hour, granularity);
+    if (!buckets.has(key)) buckets.set(key, { ...emptyCounts(), eventIndices: [] });
+    const bucket = buckets.get(key);
+    addRow(bucket, row);
+    bucket.eventIndices.push(...row.eventIndices);
+  });
+
+  const periodsWithEvents = new Set(extent.rows.map(row => periodOfHour(row.hour, granularity)));
+  const periods = periodDomain(extent, granularity, periodsWithEvents);
+
+  const cells = rowValues.map(rowValue => {
+    const row = periods.map(period => buckets.get(rowValue + KEY_SEPARATOR + period));
+    const rowMax = Math.max(...row.map(bucket => (bucket ? bucket.total : 0)), 1);
+
+    return periods.map((period, i) => {
+      const bucket = row[i];
+      const count = bucket ? bucket.total : 0;
+
+      return {
+        rowValue,
+        period,
+        periodLabel: periodLabel(period, granularity),
+        status: bucket ? worstStatus(bucket) : null,
+        count,
+        success: bucket ? bucket.success || 0 : 0,
+        warning: bucket ? bucket.warning || 0 : 0,
+        fail: bucket ? bucket.fail || 0 : 0,
+        intensity: count / rowMax,
+        // Keep the events in source order for the details modal
+        eventIndices: bucket ? bucket.eventIndices.sort((a, b) => a - b) : []
+      };
+    });
+  }).flat();
+
+  return { dimension, rowValues, otherValue, periods, cells, valueOf };
+};
+
+// Heatmap grid of the change against a comparison index whose events were shifted onto
+// the same periods. Covers the row values and periods of both; each cell adds the
+// comparison count and the difference, and `changeIntensity` is the difference relative
+// to the largest change in the same row.
+export const queryHeatmapComparison = (index, comparisonIndex, granularity, { dimension, topN } = {}) => {
+  const grid = queryHeatmapGrid(index, granularity, { extent: combinedExtent(index, comparisonIndex), dimension, topN });
+  const comparisonCounts = countBy(
+    comparisonIndex,
+    row => grid.valueOf(row) + KEY_SEPARATOR + periodOfHour(row.hour, granularity)
+  );
+
+  const cells = grid.cells.map(cell => {
+    const comparisonCount = (comparisonCounts.get(cell.rowValue + KEY_SEPARATOR + cell.period) || emptyCounts()).total;
+    return { ...cell, comparisonCount, delta: cell.count - comparisonCount };
+  });
+
+  const rowLength = grid.periods.length;
+  for (let start = 0; start < cells.length; start += rowLength) {
+    const row = cells.slice(start, start + rowLength);
+    const maxChange = Math.max(...row.map(cell => Math.abs(cell.delta)), 1);
+    row.forEach(cell => {
+      cell.changeIntensity = Math.abs(cell.delta) / maxChange;
+    });
+  }
+
+  return { ...grid, cells };
+};
+
+export const heatmapRowSorts = [
+  { id: 'appearance', label: 'First appearance' },
+  { id: 'volume', label: 'Total volume' },
+  { id: 'failureRate', label: 'Failure rate' },
+  { id: 'name', label: 'Name' }
+];
+
+// Row order under a sort, for { name, order, count, fail } stats; ties keep appearance order
+const compareRows = (sortBy) => (a, b) => {
+  switch (sortBy) {
+    case 'volume':
+      return b.count - a.count || a.order - b.order;
+    case 'failureRate':
+      return (b.count ? b.fail / b.count : -1) - (a.count ? a.fail / a.count : -1) || b.count - a.count || a.order - b.order;
+    case 'name':
+      return a.name.localeCompare(b.name);
+    default:
+      return a.order - b.order;
+  }
+};
+
+// Category row of a collapsed category in one period: its row values' counts and events
+// added up, its status under the grid's status rule, and in a comparison grid the summed
+// comparison counts and differences
+const summaryCell = (category, memberCells, statusRule, thresholds) => {
+  const counts = { total: 0, success: 0, warning: 0, fail: 0 };
+  memberCells.forEach(member => {
+    counts.total += member.count;
+    counts.success += member.success;
+    counts.warning += member.warning;
+    counts.fail += member.fail;
+  });
+  const cell = {
+    rowValue: category,
+    period: memberCells[0].period,
+    periodLabel: memberCells[0].periodLabel,
+    status: ruleStatus(counts, statusRule, thresholds),
+    count: counts.total,
+    success: counts.success,
+    warning: counts.warning,
+    fail: counts.fail,
+    intensity: 0,
+    eventIndices: memberCells.flatMap(member => member.eventIndices).sort((a, b) => a - b)
+  };
+  if (memberCells[0].delta !== undefined) {
+    cell.comparisonCount = memberCells.reduce((sum, member) => sum + member.comparisonCount, 0);
+    cell.delta = memberCells.reduce((sum, member) => sum + member.delta, 0);
+  }
+  return cell;
+};
+
+// Arrange the heatmap rows: sort the row values and, with `categoryOf` (row value ->
+// category name), group them under category rows. A collapsed category's row holds the
+// summary of its values, colored by `statusRule`; an expanded one's row stays empty above
+// them. The top-N "Other" row belongs to no category and stays last whatever the sort.
+// Returns the rows
+// as { key, label, kind: 'value' | 'category', category, size, collapsed } and the cells
+// in row-major order, each with its row key in `row`, so every row has one cell per period.
+export const arrangeHeatmapRows = (grid, {
+  sortBy = 'appearance',
+  categoryOf = null,
+  collapsed = new Set(),
+  statusRule = 'worst',
+  thresholds = defaultFailureThresholds
+} = {}) => {
+  const { rowValues, otherValue, periods, cells } = grid;
+  const rowLength = periods.length;
+  const members = rowValues.map((name, order) => {
+    const rowCells = cells.slice(order * rowLength, (order + 1) * rowLength);
+    return {
+      name,
+      order,
+      cells: rowCells,
+      count: rowCells.reduce((sum, cell) => sum + cell.count, 0),
+      fail: rowCells.reduce((sum, cell) => sum + cell.fail, 0)
+    };
+  }).sort((a, b) => (a.name === otherValue) - (b.name === otherValue) || compareRows(sortBy)(a, b));
+  const isOther = (member) => member.name === otherValue;
+  const valueRow = (member) => ({
+    row: { key: member.name, label: member.name, kind: 'value', category: categoryOf && !isOther(member) ? categoryOf(member.name) : null },
+    cells: member.cells.map(cell => ({ ...cell, row: member.name }))
+  });
+
+  if (!categoryOf) {
+    const arranged = members.map(valueRow);
+    return { ...grid, rows: arranged.map(item => item.row), cells: arranged.flatMap(item => item.cells) };
+  }
+
+  const categories = new Map();
+  members.filter(member => !isOther(member)).forEach(member => {
+    const name = categoryOf(member.name);
+    if (!categories.has(name)) categories.set(name, { name, order: member.order, count: 0, fail: 0, members: [] });
+    const category = categories.get(name);
+    category.order = Math.min(category.order, member.order);
+    category.count += member.count;
+    category.fail += member.fail;
+    category.members.push(member);
+  });
+
+  const arranged = Array.from(categories.values()).sort(compareRows(sortBy)).flatMap(category => {
+    // Category keys start with the key separator so they can't collide with a row value
+    const key = KEY_SEPARATOR + category.name;
+    const isCollapsed = collapsed.has(category.name);
+    const row = { key, label: category.name, kind: 'category', category: category.name, size: category.members.length, collapsed: isCollapsed };
+    const rowCells = periods.map((period, i) => {
+      const memberCells = category.members.map(member => member.cells[i]);
+      return isCollapsed
+        ? { ...summaryCell(category.name, memberCells, statusRule, thresholds), row: key, size: category.members.length }
+        : { rowValue: category.name, period, periodLabel: memberCells[0].periodLabel, row: key, status: null, count: 0, success: 0, warning: 0, fail: 0, intensity: 0, eventIndices: [] };
+    });
+    if (isCollapsed && rowCells[0] && rowCells[0].delta !== undefined) {
+      const maxChange = Math.max(...rowCells.map(cell => Math.abs(cell.delta)), 1);
+      rowCells.forEach(cell => {
+        cell.changeIntensity = Math.abs(cell.delta) / maxChange;
+      });
+    }
+    return [{ row, cells: rowCells }, ...(isCollapsed ? [] : category.members.map(valueRow))];
+  }).concat(members.filter(isOther).map(valueRow));
+
+  return { ...grid, rows: arranged.map(item => item.row), cells: arranged.flatMap(item => item.cells) };
+};
+
+// How heatmap cell counts map onto the 0..1 intensity the colors are drawn from
+export const intensityNormalizations = [
+  { id: 'row', label: 'Per row' },
+  { id: 'column', label: 'Per period (column)' },
+  { id: 'global', label: 'Global' },
+  { id: 'log', label: 'Global, log scale' },
+  { id: 'quantile', label: 'Quantile bins' }
+];
+
+export const quantileBinCounts = [3, 5, 7, 10];
+
+// Largest count per key among the cells
+const peakCounts = (cells, keyOf) => {
+  const peaks = new Map();
+  cells.forEach(cell => {
+    const key = keyOf(cell);
+    peaks.set(key, Math.max(peaks.get(key) || 0, cell.count));
+  });
+  return peaks;
+};
+
+const eventsLabel = (count) => `${count} event${count === 1 ? '' : 's'}`;
+
+// Lower bounds of up to `binCount` bins holding about equally many of the sorted counts.
+// A bound that ties with the previous one moves on to the next larger count, so mostly
+// equal counts still leave the rarer, larger ones their own bins.
+const quantileBounds = (sortedCounts, binCount) => {
+  const bounds = [];
+  for (let k = 0; k < binCount; k++) {
+    let position = Math.floor((k * sortedCounts.length) / binCount);
+    while (position < sortedCounts.length && bounds.length > 0 && sortedCounts[position] <= bounds[bounds.length - 1]) {
+      position++;
+    }
+    if (position === sortedCounts.length) break;
+    bounds.push(sortedCounts[position]);
+  }
+  return bounds;
+};
+
+// Recompute heatmap cell intensities under a normalization. Returns the cells and a
+// legend with the real counts at both ends of the scale (or each quantile bin's count
+// range) and a note on what the scale is relative to; the legend is null without events.
+export const normalizeHeatmapIntensity = (cells, normalization = 'row', binCount = 5) => {
+  const sortedCounts = cells.map(cell => cell.count).filter(count => count > 0).sort((a, b) => a - b);
+  if (sortedCounts.length === 0) return { cells, legend: null };
+  const min = sortedCounts[0];
+  const max = sortedCounts[sortedCounts.length - 1];
+
+  switch (normalization) {
+    case 'global':
+      return {
+        cells: cells.map(cell => ({ ...cell, intensity: cell.count / max })),
+        legend: { low: '0', high: eventsLabel(max), bins: null, note: `Events per cell across the grid (${min}–${max})` }
+      };
+    case 'log': {
+      const logMax = Math.log1p(max);
+      return {
+        cells: cells.map(cell => ({ ...cell, intensity: Math.log1p(cell.count) / logMax })),
+        legend: {
+          low: '0',
+          high: eventsLabel(max),
+          bins: null,
+          note: `Log scale: the middle of the scale is about ${eventsLabel(Math.round(Math.expm1(logMax / 2)))}`
+        }
+      };
+    }
+    case 'quantile': {
+      const bounds = quantileBounds(sortedCounts, binCount);
+      const binOf = (count) => bounds.filter(bound => bound <= count).length - 1;
+      return {
+        cells: cells.map(cell => ({ ...cell, intensity: cell.count > 0 ? (binOf(cell.count) + 1) / bounds.length : 0 })),
+        legend: {
+          low: `${min}`,
+          high: eventsLabel(max),
+          // Counts are whole events, so a bin ends one below the next bin's lower bound
+          bins: bounds.map((from, i) => ({
+            from,
+            to: i + 1 < bounds.length ? bounds[i + 1] - 1 : max,
+            intensity: (i + 1) / bounds.length
+          })),
+          note: `${bounds.length} bins of about equally many cells; equal counts share a bin`
+        }
+      };
+    }
+    default: {
+      const byColumn = normalization === 'column';
+      const keyOf = byColumn ? cell => cell.period : cell => cell.row || cell.rowValue;
+      const peaks = peakCounts(cells, keyOf);
+      const peakValues = Array.from(peaks.values()).filter(peak => peak > 0);
+      return {
+        cells: cells.map(cell => ({ ...cell, intensity: cell.count / Math.max(peaks.get(keyOf(cell)), 1) })),
+        legend: {
+          low: '0',
+          high: byColumn ? 'period peak' : 'row peak',
+          bins: null,
+          note: byColumn
+            ? `Share of each period's busiest row (peaks ${Math.min(...peakValues)}–${Math.max(...peakValues)} events)`
+            : `Share of each row's busiest period (peaks ${Math.min(...peakValues)}–${Math.max(...peakValues)} events)`
+        }
+      };
+    }
+  }
+};
+
+export const punchcardWeekdays = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+
+const punchcardStatuses = ['success', 'warning', 'fail'];
+
+const weekdays = new Map();
+
+// Day of week of an hour key, 0 = Monday
+const weekdayOfHour = (hour) => {
+  const day = hour.slice(0, 10);
+  if (!weekdays.has(day)) {
+    weekdays.set(day, getISODay(parseISO(day)) - 1);
+  }
+  return weekdays.get(day);
+};
+
+// Day-of-week x hour-of-day punchcard: 7 x 24 cells per group, ordered weekday-major.
+// Without `splitBy` there is one group for all events; with 'activityType' or 'status'
+// there is one per value that has events. Cells carry the worst status, count, intensity
+// relative to the busiest cell of their group and event indices, like heatmap cells.
+export const queryPunchcard = (index, splitBy = null) => {
+  const buckets = new Map();
+  index.rows.forEach(row => {
+    const group = splitBy ? row[splitBy] : null;
+    if (!buckets.has(group)) {
+      buckets.set(group, Array.from({ length: 7 * 24 }, () => ({ ...emptyCounts(), eventIndices: [] })));
+    }
+    const bucket = buckets.get(group)[weekdayOfHour(row.hour) * 24 + Number(row.hour.slice(11, 13))];
+    addRow(bucket, row);
+    bucket.eventIndices.push(...row.eventIndices);
+  });
+
+  const order = splitBy === 'status' ? punchcardStatuses : splitBy ? index.activityTypes : [null];
+
+  return order.filter(group => buckets.has(group)).map(group => {
+    const cells = buckets.get(group);
+    const max = Math.max(...cells.map(bucket => bucket.total), 1);
+
+    return {
+      group,
+      total: cells.reduce((sum, bucket) => sum + bucket.total, 0),
+      cells: cells.map((bucket, i) => ({
+        group,
+        weekday: Math.floor(i / 24),
+        hour: i % 24,
+        status: worstStatus(bucket),
+        count: bucket.total,
+        intensity: bucket.total / max,
+        eventIndices: bucket.eventIndices.sort((a, b) => a - b)
+      }))
+    };
+  });
+};
+
+// Per-day totals for the calendar view: one entry per day with events, in day order,
+// with the worst status, failure rate and event indices
+export const queryCalendarDays = (index) => {
+  const days = new Map();
+  index.rows.forEach(row => {
+    const day = row.hour.slice(0, 10);
+    if (!days.has(day)) days.set(day, { ...emptyCounts(), eventIndices: [] });
+    const bucket = days.get(day);
+    addRow(bucket, row);
+    bucket.eventIndices.push(...row.eventIndices);
+  });
+
+  return Array.from(days.keys()).sort().map(day => {
+    const { eventIndices, ...counts } = days.get(day);
+    return {
+      day,
+      ...counts,
+      count: counts.total,
+      status: worstStatus(counts),
+      failureRate: counts.fail / counts.total,
+      eventIndices: eventIndices.sort((a, b) => a - b)
+    };
+  });
+};
+
+// Stat card numbers
+export const queryStatistics = (index) => {
+  const counts = emptyCounts();
+  const users = new Set();
+  const devices = new Set();
+
+  index.rows.forEach(row => {
+    addRow(counts, row);
+    users.add(row.user);
+    devices.add(row.device);
+  });
+
+  return {
+    devices: devices.size,
+    users: users.size,
+    totalEvents: counts.total,
+    successEvents: counts.success,
+    failedEvents: counts.fail,
+    warningEvents: counts.warning
+  };
+};
+
+// Hour-of-day distribution, events per day and per-user / per-device totals
+export const queryActivityBreakdown = (index) => {
+  const hourlyDistribution = Array(24).fill(0);
+  const dailyTrends = {};
+  const userActivityMap = {};
+  const deviceUsage = {};
+
+  index.rows.forEach(row => {
+    hourlyDistribution[Number(row.hour.slice(11, 13))] += row.count;
+
+    const day = row.hour.slice(0, 10);
+    dailyTrends[day] = (dailyTrends[day] || 0) + row.count;
+
+    userActivityMap[row.user] = (userActivityMap[row.user] || 0) + row.count;
+    deviceUsage[row.device] = (deviceUsage[row.device] || 0) + row.count;
+  });
+
+  return { hourlyDistribution, dailyTrends, userActivityMap, deviceUsage };
+};
@@ -0,0 +1,7 @@
+import { createAggregationEngine } from './aggregationEngine';
+
+// Bucket indexes and chart queries off the main thread; see aggregationEngine.js for the
+// messages. Every answer carries the request id so the page can ignore stale ones.
+const engine = createAggregationEngine(message => self.postMessage(message));
+
+self.onmessage = ({ data }) => engine.handle(data);
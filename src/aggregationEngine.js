@@ -0,0 +1,152 @@
+import {
+  createBucketIndexBuilder,
+  diffEventList,
+  emptyBucketIndex,
+  queryBarSeries,
+  queryTimeSeries,
+  followingPeriods,
+  periodLabel,
+  queryHeatmapGrid,
+  queryHeatmapComparison,
+  queryPunchcard,
+  queryCalendarDays,
+  queryStatistics,
+  queryActivityBreakdown
+} from './aggregation';
+import { detectAnomalies } from './anomalies';
+import { forecastSeries } from './forecast';
+
+// The aggregation state behind the page, run in aggregation.worker.js (or in-thread where
+// Workers are unavailable). It keeps every event it was sent under an id the page assigns
+// in order, and a bucket index per dataset: 'current' and 'comparison'. Messages:
+//   { type: 'build', id, key, added, ids, timeZone }
+//     store `added`, then index dataset `key` as the events `ids` (null clears it);
+//     answers { id, key, activityTypes, total }
+//   { type: 'query', id, slot, name, params }
+//     run a query below over the indexes; answers { id, result, versions }
+//   { type: 'reset' }
+//     forget all events and indexes
+// A build or query that a newer one for the same dataset or slot has overtaken answers
+// { id, key, skipped: true } instead, so rapid filter changes don't queue stale work.
+
+// Events indexed between checks for a newer build
+const BUILD_SLICE = 20000;
+
+const nextTask = () => new Promise(resolve => setTimeout(resolve, 0));
+
+// Total of a series point over the visible bar graph series
+const seriesTotal = (point, { byType, keys }) => (
+  keys.reduce((sum, key) => sum + ((byType ? point.byType[key] : point[key]) || 0), 0)
+);
+
+// Queries by name, over the current and comparison (or null) indexes and the view's params
+const queries = {
+  statistics: ({ current }) => queryStatistics(current),
+  comparisonStatistics: ({ comparison }) => (comparison ? queryStatistics(comparison) : null),
+  barSeries: ({ current, comparison }, { granularity }) => queryBarSeries(current, granularity, comparison),
+  timeSeries: ({ current }, { granularity }) => queryTimeSeries(current, granularity),
+  // Forecast of the visible bar total for the periods after the last one with events
+  forecast: ({ current }, { granularity, method, horizon, byType, keys }) => {
+    if (method === 'off') return [];
+    const timeSeries = queryTimeSeries(current, granularity);
+    if (timeSeries.length === 0) return [];
+    const periods = followingPeriods(timeSeries[timeSeries.length - 1].period, granularity, horizon);
+    return forecastSeries(timeSeries.map(point => seriesTotal(point, { byType, keys })), { method, horizon, granularity })
+      .map((point, i) => ({ ...point, period: periods[i], periodLabel: periodLabel(periods[i], granularity) }));
+  },
+  anomalies: ({ current }, { granularity, method, sensitivity }) => (
+    detectAnomalies(queryTimeSeries(current, granularity), { method, sensitivity, granularity })
+  ),
+  // The grid's valueOf stays behind, functions can't be posted. `granularity` and
+  // `difference` tell which periods the grid has and whether its cells carry the change
+  // against the comparison range.
+  heatmapGrid: ({ current, comparison }, { granularity, dimension, topN, difference }) => {
+    const differenceMode = Boolean(difference && comparison);
+    const { valueOf, ...grid } = differenceMode
+      ? queryHeatmapComparison(current, comparison, granularity, { dimension, topN })
+      : queryHeatmapGrid(current, granularity, { dimension, topN });
+    return { ...grid, granularity, difference: differenceMode };
+  },
+  punchcard: ({ current }, { splitBy }) => ({ splitBy, groups: queryPunchcard(current, splitBy) }),
+  calendarDays: ({ current }) => queryCalendarDays(current),
+  activityBreakdown: ({ current }) => queryActivityBreakdown(current)
+};
+
+export const createAggregationEngine = (reply) => {
+  const events = [];
+  const datasets = new Map();
+  // Id of the last build of each dataset; queries report these to match results to indexes
+  const versions = new Map();
+  // Newest request per dataset and per query slot, to skip overtaken ones
+  const latest = new Map();
+  let queue = Promise.resolve();
+
+  const versionOf = () => `${versions.get('current') || 0}:${versions.get('comparison') || 0}`;
+
+  const build = async ({ id, key, ids, timeZone }) => {
+    const overtaken = () => latest.get(`build:${key}`) !== id;
+    if (overtaken()) return reply({ id, key, skipped: true });
+
+    if (!ids) {
+      datasets.delete(key);
+      versions.set(key, id);
+      return reply({ id, key, activityTypes: [], total: 0 });
+    }
+
+    // Carry the previous index over when the new list keeps some of its events (a stream
+    // flush, a narrower filter), so only the added events are indexed
+    const base = datasets.get(key);
+    const diff = base && base.timeZone === timeZone ? diffEventList(base.ids, ids) : null;
+    const carried = Boolean(diff && diff.kept > 0);
+    const builder = createBucketIndexBuilder(timeZone, carried ? { index: base.index, diff } : null);
+    const pending = carried ? diff.added : ids;
+
+    for (let start = 0; start < pending.length; start += BUILD_SLICE) {
+      if (start > 0) {
+        await nextTask();
+        if (overtaken()) return reply({ id, key, skipped: true });
+      }
+      builder.add(Array.from(pending.subarray(start, start + BUILD_SLICE), eventId => events[eventId]));
+    }
+
+    const index = builder.index();
+    datasets.set(key, { ids, timeZone, index });
+    versions.set(key, id);
+    return reply({ id, key, activityTypes: index.activityTypes, total: index.total });
+  };
+
+  const query = ({ id, slot, name, params }) => {
+    if (latest.get(`query:${slot}`) !== id) return reply({ id, skipped: true });
+    const current = datasets.get('current');
+    const comparison = datasets.get('comparison');
+    const result = queries[name](
+      { current: current ? current.index : emptyBucketIndex, comparison: comparison ? comparison.index : null },
+      params || {}
+    );
+    return reply({ id, result, versions: versionOf() });
+  };
+
+  // Stored events and the newest-request marks are updated on arrival, the work itself
+  // runs in order. A reset also overtakes a build still in progress.
+  const handle = (message) => {
+    if (message.type === 'reset') {
+      events.length = 0;
+      datasets.clear();
+      versions.clear();
+      latest.clear();
+      return;
+    }
+    if (message.type === 'build') {
+      message.added.forEach(event => events.push(event));
+      latest.set(`build:${message.key}`, message.id);
+    } else {
+      latest.set(`query:${message.slot}`, message.id);
+    }
+
+    queue = queue
+      .then(() => (message.type === 'build' ? build(message) : query(message)))
+      .catch(error => reply({ id: message.id, key: message.key, error: error.message }));
+  };
+
+  return { handle };
+};
@@ -0,0 +1,99 @@
+import { seasonLengths } from './aggregation';
+
+// Anomaly detection on per-period event totals. Each period gets an expected count and
+// a spread from one of two detectors, and is flagged when its z-score
+// (actual - expected) / spread passes the sensitivity threshold:
+//   rolling   the mean and standard deviation of the periods just before it
+//   seasonal  classical decomposition: a centered moving-average trend plus the average
+//             offset of the period's phase in the season (hour of day, day of week, ...),
+//             with the spread of the residuals
+// The series must be continuous (see queryTimeSeries) so quiet periods count as zero
+// and seasonal phases line up.
+
+export const anomalyMethods = [
+  { id: 'rolling', label: 'Rolling z-score' },
+  { id: 'seasonal', label: 'Seasonal decomposition' }
+];
+
+export const anomalySensitivities = [
+  { id: 'low', label: 'Low (|z| ≥ 4)', threshold: 4 },
+  { id: 'medium', label: 'Medium (|z| ≥ 3)', threshold: 3 },
+  { id: 'high', label: 'High (|z| ≥ 2)', threshold: 2 }
+];
+
+const ROLLING_WINDOW = 12;
+const MIN_HISTORY = 4;
+
+// Counts are small integers; without a floor a flat series would flag a change of one event
+const MIN_SPREAD = 1;
+
+const mean = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+const standardDeviation = (values, center = mean(values)) => (
+  Math.sqrt(values.reduce((sum, value) => sum + (value - center) ** 2, 0) / values.length)
+);
+
+// Periods without MIN_HISTORY periods before them are not scored
+const rollingExpectations = (values) => values.map((_, i) => {
+  const history = values.slice(Math.max(0, i - ROLLING_WINDOW), i);
+  if (history.length < MIN_HISTORY) return null;
+  const expected = mean(history);
+  return { expected, spread: Math.max(standardDeviation(history, expected), MIN_SPREAD) };
+});
+
+const seasonalExpectations = (values, season) => {
+  // Centered moving average over one season; even seasons use the 2 x season average
+  const half = Math.floor(season / 2);
+  const centered = values.map((_, i) => {
+    if (i < half || i + half >= values.length) return null;
+    const window = values.slice(i - half, i + half + 1);
+    const sum = window.reduce((total, value) => total + value, 0);
+    return season % 2 ? sum / season : (sum - (window[0] + window[season]) / 2) / season;
+  });
+  // The first and last half season take the nearest centered value
+  const trend = centered.map((value, i) => (
+    value !== null ? value : centered[Math.min(Math.max(i, half), values.length - 1 - half)]
+  ));
+
+  // Average detrended value per phase, centered so the offsets sum to zero
+  const offsets = Array.from({ length: season }, (_, phase) => {
+    const detrended = values.filter((_, i) => i % season === phase).map((value, k) => value - trend[k * season + phase]);
+    return mean(detrended);
+  });
+  const offsetMean = mean(offsets);
+  const seasonal = offsets.map(offset => offset - offsetMean);
+
+  const expected = values.map((_, i) => trend[i] + seasonal[i % season]);
+  const spread = Math.max(standardDeviation(values.map((value, i) => value - expected[i])), MIN_SPREAD);
+  return expected.map(value => ({ expected: value, spread }));
+};
+
+// Flag anomalous periods of a series of { period, periodLabel, total }. Returns the
+// detector actually used (seasonal needs two full seasons, otherwise it falls back to
+// rolling) and the anomalies in period order. The series runs from the first to the last
+// event, so its first and last periods are usually partial: drops there are not flagged.
+export const detectAnomalies = (series, { method = 'rolling', sensitivity = 'medium', granularity }) => {
+  const { threshold } = anomalySensitivities.find(option => option.id === sensitivity) || anomalySensitivities[1];
+  const values = series.map(d => d.total);
+  const season = seasonLengths[granularity];
+  const usedMethod = method === 'seasonal' && season && values.length >= season * 2 ? 'seasonal' : 'rolling';
+  const expectations = usedMethod === 'seasonal' ? seasonalExpectations(values, season) : rollingExpectations(values);
+
+  const anomalies = series.flatMap((d, i) => {
+    const expectation = expectations[i];
+    if (!expectation) return [];
+    const zScore = (d.total - expectation.expected) / expectation.spread;
+    const partial = i === 0 || i === series.length - 1;
+    if (Math.abs(zScore) < threshold || (partial && zScore < 0)) return [];
+    return [{
+      period: d.period,
+      periodLabel: d.periodLabel,
+      actual: d.total,
+      expected: Math.max(0, Math.round(expectation.expected * 10) / 10),
+      zScore: Math.round(zScore * 10) / 10,
+      direction: zScore > 0 ? 'spike' : 'drop'
+    }];
+  });
+
+  return { method: usedMethod, anomalies };
+};
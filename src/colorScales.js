@@ -0,0 +1,60 @@
+import { scaleLinear } from '@visx/scale';
+
+// Heatmap color scales over cell intensity (0..1, see normalizeHeatmapIntensity):
+//   status      the status color, faded by intensity when the gradient is on
+//   sequential  low -> high color
+//   diverging   low -> mid -> high color, with the mid color at an adjustable midpoint
+
+export const colorScaleTypes = [
+  { id: 'status', label: 'Status colors' },
+  { id: 'sequential', label: 'Sequential' },
+  { id: 'diverging', label: 'Diverging' }
+];
+
+export const colorScalePresets = {
+  sequential: [
+    { id: 'blues', label: 'Blues', colors: ['#dbeafe', '#1e3a8a'] },
+    { id: 'greens', label: 'Greens', colors: ['#dcfce7', '#14532d'] },
+    { id: 'purples', label: 'Purples', colors: ['#f3e8ff', '#581c87'] },
+    { id: 'heat', label: 'Heat', colors: ['#fef9c3', '#b91c1c'] }
+  ],
+  diverging: [
+    { id: 'blueRed', label: 'Blue – Red', colors: ['#2563eb', '#f8fafc', '#dc2626'] },
+    { id: 'greenPurple', label: 'Green – Purple', colors: ['#16a34a', '#f8fafc', '#9333ea'] },
+    { id: 'tealOrange', label: 'Teal – Orange', colors: ['#0d9488', '#fefce8', '#ea580c'] }
+  ]
+};
+
+export const defaultColorScale = {
+  type: 'status',
+  sequential: colorScalePresets.sequential[0].colors,
+  diverging: colorScalePresets.diverging[0].colors,
+  midpoint: 0.5
+};
+
+// The neutral ramp the status scale's legend has always shown (see .intensity-gradient)
+const STATUS_RAMP = [59, 130, 246];
+
+// Intensity -> color function of a color scale; build it once per scale, not per cell
+export const intensityColorScale = (colorScale) => {
+  if (colorScale.type === 'sequential') {
+    return scaleLinear({ domain: [0, 1], range: colorScale.sequential, clamp: true });
+  }
+  if (colorScale.type === 'diverging') {
+    return scaleLinear({ domain: [0, colorScale.midpoint, 1], range: colorScale.diverging, clamp: true });
+  }
+  return (intensity) => `rgba(${STATUS_RAMP.join(', ')}, ${Math.max(0.3, intensity)})`;
+};
+
+// CSS background of a color scale for legends and the editor preview
+export const colorScaleGradient = (colorScale) => {
+  if (colorScale.type === 'sequential') {
+    return `linear-gradient(90deg, ${colorScale.sequential[0]}, ${colorScale.sequential[1]})`;
+  }
+  if (colorScale.type === 'diverging') {
+    const [low, mid, high] = colorScale.diverging;
+    return `linear-gradient(90deg, ${low}, ${mid} ${colorScale.midpoint * 100}%, ${high})`;
+  }
+  const color = intensityColorScale(colorScale);
+  return `linear-gradient(90deg, ${color(0.3)}, ${color(1)})`;
+};
@@ -0,0 +1,109 @@
+import { addDays, addYears, differenceInCalendarDays, parseISO, subDays, subYears } from 'date-fns';
+import { eventDay, formatInZone, zoneOptions } from './timezone';
+
+// Period-over-period comparison. A comparison range is resolved against the current time
+// range, and its events are shifted in time so they land on the current range's periods:
+// the aggregation engine then buckets both ranges identically and the charts can put a
+// period next to its counterpart without any alignment logic of their own.
+
+export const compareModes = [
+  { id: 'off', label: 'Off' },
+  { id: 'previous', label: 'Previous period' },
+  { id: 'lastYear', label: 'Same period last year' },
+  { id: 'custom', label: 'Custom range' }
+];
+
+// Length of the rolling time ranges in days, as timeFilteredData applies them
+const rollingRangeDays = {
+  last24hours: 1,
+  last7days: 7,
+  last30days: 30,
+  last90days: 90,
+  lastYear: 365
+};
+
+// Calendar arithmetic keeps the wall-clock time in the display zone across DST changes
+const shiftInZone = (add, amount, timeZone) => (date) => new Date(+add(date, amount, zoneOptions(timeZone)));
+
+// Day strings are zone-free, so their arithmetic runs in UTC
+const shiftDay = (add, day, amount) => formatInZone(add(parseISO(`${day}T00:00:00Z`), amount, zoneOptions('UTC')), 'yyyy-MM-dd', 'UTC');
+const daysBetween = (from, to) => differenceInCalendarDays(parseISO(to), parseISO(from));
+
+// Resolve the comparison for the current view. Returns null when comparing is off or the
+// current range has no bounds to compare against ("All Time"). Otherwise returns
+//   { start, end, unit, shift }
+// where start/end are instants (unit 'instant') or display-zone days (unit 'day') and
+// shift(date) moves a comparison timestamp onto the current range.
+export const resolveComparison = ({ compareMode, compareDateRange, timeRange, customDateRange, timeZone, now = new Date() }) => {
+  if (compareMode === 'off' || !compareModes.some(mode => mode.id === compareMode)) return null;
+
+  const rollingDays = rollingRangeDays[timeRange];
+
+  if (rollingDays) {
+    const start = subDays(now, rollingDays);
+    if (compareMode === 'previous') {
+      return { start: subDays(start, rollingDays), end: start, unit: 'instant', shift: shiftInZone(addDays, rollingDays, timeZone) };
+    }
+    if (compareMode === 'lastYear') {
+      return { start: subYears(start, 1), end: subYears(now, 1), unit: 'instant', shift: shiftInZone(addYears, 1, timeZone) };
+    }
+    const offset = daysBetween(compareDateRange.start, formatInZone(start, 'yyyy-MM-dd', timeZone));
+    return { ...compareDateRange, unit: 'day', shift: shiftInZone(addDays, offset, timeZone) };
+  }
+
+  if (timeRange === 'custom') {
+    const { start, end } = customDateRange;
+    if (compareMode === 'previous') {
+      const length = daysBetween(start, end) + 1;
+      return {
+        start: shiftDay(addDays, start, -length),
+        end: shiftDay(addDays, end, -length),
+        unit: 'day',
+        shift: shiftInZone(addDays, length, timeZone)
+      };
+    }
+    if (compareMode === 'lastYear') {
+      return {
+        start: shiftDay(addYears, start, -1),
+        end: shiftDay(addYears, end, -1),
+        unit: 'day',
+        shift: shiftInZone(addYears, 1, timeZone)
+      };
+    }
+    const offset = daysBetween(compareDateRange.start, start);
+    return { ...compareDateRange, unit: 'day', shift: shiftInZone(addDays, offset, timeZone) };
+  }
+
+  return null;
+};
+
+// Whether an event falls into a resolved comparison range
+export const inComparisonRange = (comparison, event, timeZone) => {
+  if (comparison.unit === 'day') {
+    const day = eventDay(event, timeZone);
+    return day >= comparison.start && day <= comparison.end;
+  }
+  const timestamp = parseISO(event.timestamp);
+  return timestamp >= comparison.start && timestamp <= comparison.end;
+};
+
+// Copy of a comparison event moved onto the current range; the original time is kept
+export const shiftComparisonEvent = (comparison, event) => ({
+  ...event,
+  timestamp: comparison.shift(parseISO(event.timestamp)).toISOString(),
+  originalTimestamp: event.timestamp
+});
+
+// Human-readable comparison range, e.g. "Dec 01, 2025 – Dec 31, 2025"
+export const comparisonLabel = (comparison, timeZone) => {
+  const formatDay = (day) => formatInZone(parseISO(`${day}T00:00:00Z`), 'MMM dd, yyyy', 'UTC');
+  const [start, end] = comparison.unit === 'day'
+    ? [formatDay(comparison.start), formatDay(comparison.end)]
+    : [formatInZone(comparison.start, 'MMM dd, yyyy', timeZone), formatInZone(comparison.end, 'MMM dd, yyyy', timeZone)];
+  return start === end ? start : `${start} – ${end}`;
+};
+
+// Percentage change from a comparison value; null when there is nothing to compare with
+export const percentChange = (current, previous) => (
+  previous > 0 ? Math.round(((current - previous) / previous) * 100) : null
+);
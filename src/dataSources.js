@@ -0,0 +1,156 @@
+import { parseEventFile } from './eventImport';
+
+// Pluggable data sources feeding the dashboard.
+// Every source exposes the same shape: { type, label, load(signal) => Promise<events[]> }
+
+export const dataSourceTypes = {
+  static: 'Bundled JSON',
+  rest: 'REST Endpoint',
+  file: 'Uploaded File',
+  generator: 'Generated Data'
+};
+
+const STORAGE_KEY = 'activity-dashboard:data-source';
+
+// Defaults come from the build environment (VITE_DATA_SOURCE, VITE_DATA_URL, ...)
+// and can be overridden at runtime from the Data Source panel without a rebuild.
+export const defaultDataSourceConfig = {
+  type: import.meta.env.VITE_DATA_SOURCE || 'static',
+  url: import.meta.env.VITE_DATA_URL || '',
+  authToken: import.meta.env.VITE_DATA_TOKEN || '',
+  generatorCount: Number(import.meta.env.VITE_GENERATOR_COUNT) || 500,
+  generatorDays: Number(import.meta.env.VITE_GENERATOR_DAYS) || 90,
+  // WebSocket (ws://, wss://) or Server-Sent Events (http://, https://) endpoint for Live mode
+  streamUrl: import.meta.env.VITE_STREAM_URL || '',
+  file: null
+};
+
+// The bearer token stays out of localStorage; it is kept for the browser tab only
+const TOKEN_STORAGE_KEY = 'activity-dashboard:data-source-token';
+
+const loadAuthToken = () => {
+  try {
+    return sessionStorage.getItem(TOKEN_STORAGE_KEY) || defaultDataSourceConfig.authToken;
+  } catch {
+    return defaultDataSourceConfig.authToken;
+  }
+};
+
+export const loadDataSourceConfig = () => {
+  try {
+    const { authToken: storedToken, ...stored } = JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}');
+    // Configs saved before the token moved out: drop the plaintext copy
+    if (storedToken !== undefined) localStorage.setItem(STORAGE_KEY, JSON.stringify(stored));
+    const config = { ...defaultDataSourceConfig, ...stored, authToken: loadAuthToken(), file: null };
+    // A file cannot survive a reload, fall back to the configured default
+    return config.type === 'file' ? { ...config, type: defaultDataSourceConfig.type } : config;
+  } catch {
+    return { ...defaultDataSourceConfig };
+  }
+};
+
+export const saveDataSourceConfig = (config) => {
+  const { file, authToken, ...persistable } = config;
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(persistable));
+  } catch {
+    // Storage may be unavailable (private mode), the config just won't persist
+  }
+  try {
+    if (authToken) sessionStorage.setItem(TOKEN_STORAGE_KEY, authToken);
+    else sessionStorage.removeItem(TOKEN_STORAGE_KEY);
+  } catch {
+    // Same for the token
+  }
+};
+
+// Accept a bare array or the common `{ data: [...] }` / `{ events: [...] }` envelopes.
+// File imports (eventImport.js) accept the same.
+export const unwrapEvents = (payload) => {
+  if (Array.isArray(payload)) return payload;
+  if (payload && Array.isArray(payload.data)) return payload.data;
+  if (payload && Array.isArray(payload.events)) return payload.events;
+  throw new Error('Expected an array of events or an object with a "data" or "events" array');
+};
+
+const createStaticSource = () => ({
+  type: 'static',
+  label: dataSourceTypes.static,
+  load: async () => {
+    const module = await import('./data.json');
+    return module.default;
+  }
+});
+
+const createRestSource = ({ url, authToken }) => ({
+  type: 'rest',
+  label: url,
+  load: async (signal) => {
+    if (!url) {
+      throw new Error('No REST endpoint configured');
+    }
+
+    const headers = { Accept: 'application/json' };
+    if (authToken) {
+      headers.Authorization = `Bearer ${authToken}`;
+    }
+
+    const response = await fetch(url, { headers, signal });
+    if (!response.ok) {
+      throw new Error(`Request to ${url} failed with ${response.status} ${response.statusText}`);
+    }
+    return unwrapEvents(await response.json());
+  }
+});
+
+const createFileSource = ({ file, timeZone }) => ({
+  type: 'file',
+  label: file ? file.name : dataSourceTypes.file,
+  load: async () => {
+    if (!file) {
+      throw new Error('No file selected');
+    }
+    const { events } = await parseEventFile(file, { timeZone });
+    return events;
+  }
+});
+
+const generatorActivityTypes = ['Login', 'File Upload', 'Data Export', 'API', 'Database Query', 'Email Send', 'User Registration', 'System Backup'];
+const generatorStatuses = ['success', 'success', 'success', 'success', 'warning', 'fail'];
+
+const createGeneratorSource = ({ generatorCount, generatorDays }) => ({
+  type: 'generator',
+  label: `${generatorCount} generated events`,
+  load: async () => {
+    const now = Date.now();
+    const dayMs = 24 * 60 * 60 * 1000;
+    const pick = (list) => list[Math.floor(Math.random() * list.length)];
+
+    return Array.from({ length: generatorCount }, () => {
+      const timestamp = new Date(now - Math.random() * generatorDays * dayMs).toISOString();
+      return {
+        activityType: pick(generatorActivityTypes),
+        status: pick(generatorStatuses),
+        user: `user_${100 + Math.floor(Math.random() * 60)}`,
+        device: `device_${pick(['A', 'B', 'C', 'D'])}${Math.floor(Math.random() * 5) || ''}`,
+        date: timestamp.slice(0, 10),
+        timestamp
+      };
+    }).sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+  }
+});
+
+const sourceFactories = {
+  static: createStaticSource,
+  rest: createRestSource,
+  file: createFileSource,
+  generator: createGeneratorSource
+};
+
+export const createDataSource = (config) => {
+  const factory = sourceFactories[config.type];
+  if (!factory) {
+    throw new Error(`Unknown data source type "${config.type}"`);
+  }
+  return factory(config);
+};
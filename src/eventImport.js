@@ -0,0 +1,210 @@
+// Parsing of user supplied event files (CSV, JSON array, newline-delimited JSON).
+// Rows are normalized to the dashboard event shape; rows that cannot be mapped are
+// returned as rejections instead of throwing so one bad line doesn't sink an import.
+// Date and Time columns without a Timestamp are wall-clock values in the display zone,
+// the zone the CSV export writes them in.
+
+import { unwrapEvents } from './dataSources';
+import { LOCAL_TIMEZONE, zonedTimestamp } from './timezone';
+
+const CHUNK_SIZE = 2000;
+
+export const importFormats = {
+  csv: 'CSV',
+  json: 'JSON',
+  ndjson: 'NDJSON'
+};
+
+// Header aliases, compared lowercase with spaces/underscores/dashes stripped.
+// Includes the column names written by the CSV export so exports round-trip.
+const fieldAliases = {
+  activitytype: 'activityType',
+  activity: 'activityType',
+  type: 'activityType',
+  status: 'status',
+  user: 'user',
+  userid: 'user',
+  device: 'device',
+  deviceid: 'device',
+  date: 'date',
+  day: 'date',
+  timestamp: 'timestamp',
+  datetime: 'timestamp',
+  time: 'time'
+};
+
+const normalizeKey = (key) => String(key).toLowerCase().replace(/[\s_-]/g, '');
+
+const yieldToBrowser = () => new Promise(resolve => setTimeout(resolve, 0));
+
+export const detectFormat = (fileName, text) => {
+  const extension = (fileName.split('.').pop() || '').toLowerCase();
+  if (extension === 'csv') return 'csv';
+  if (extension === 'ndjson' || extension === 'jsonl') return 'ndjson';
+  if (extension === 'json') return 'json';
+
+  const trimmed = text.trimStart();
+  if (trimmed.startsWith('[')) return 'json';
+  if (trimmed.startsWith('{')) {
+    // A single object spanning the file is a JSON envelope, one object per line is NDJSON
+    const firstLine = trimmed.split('\n', 1)[0].trim();
+    try {
+      JSON.parse(firstLine);
+      return 'ndjson';
+    } catch {
+      return 'json';
+    }
+  }
+  return 'csv';
+};
+
+// Map an arbitrary record onto the event shape, or return a rejection reason. `zoned` is
+// set when the timestamp was taken from Date (+ Time) columns in `timeZone`.
+export const normalizeEvent = (record, timeZone = LOCAL_TIMEZONE) => {
+  if (!record || typeof record !== 'object' || Array.isArray(record)) {
+    return { error: 'Row is not an object' };
+  }
+
+  const event = {};
+  Object.entries(record).forEach(([key, value]) => {
+    const field = fieldAliases[normalizeKey(key)];
+    if (field && value !== undefined && value !== null && value !== '') {
+      event[field] = typeof value === 'string' ? value.trim() : value;
+    }
+  });
+
+  // CSV exports carry Date + Time columns in the display zone instead of a full timestamp;
+  // values that don't parse are kept as-is so the timestamp check below rejects them
+  const zoned = !event.timestamp && Boolean(event.date);
+  if (zoned) {
+    const time = event.time || '00:00:00';
+    event.timestamp = zonedTimestamp(event.date, time, timeZone) || `${event.date}T${time}`;
+  }
+  delete event.time;
+
+  if (event.timestamp && !event.date) {
+    event.date = String(event.timestamp).slice(0, 10);
+  }
+  if (event.status) {
+    event.status = String(event.status).toLowerCase();
+  }
+
+  const missing = ['activityType', 'status', 'timestamp'].filter(field => !event[field]);
+  if (missing.length > 0) {
+    return { error: `Missing ${missing.join(', ')}` };
+  }
+  if (Number.isNaN(Date.parse(event.timestamp))) {
+    return { error: `Invalid timestamp "${event.timestamp}"` };
+  }
+
+  return {
+    event: {
+      ...event,
+      user: event.user || 'unknown',
+      device: event.device || 'unknown'
+    },
+    zoned
+  };
+};
+
+// Minimal RFC 4180 line splitter: handles quoted fields, escaped quotes and newlines in quotes
+const parseCsvRows = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+};
+
+// Turn file text into raw records, each tagged with its 1-based source row number
+const extractRecords = (text, fileFormat) => {
+  if (fileFormat === 'csv') {
+    const [header = [], ...rows] = parseCsvRows(text);
+    return rows.map((cells, index) => ({
+      row: index + 2,
+      record: Object.fromEntries(header.map((name, column) => [name.trim(), cells[column]]))
+    }));
+  }
+
+  if (fileFormat === 'ndjson') {
+    return text.split(/\r?\n/)
+      .map((line, index) => ({ row: index + 1, line: line.trim() }))
+      .filter(({ line }) => line !== '')
+      .map(({ row, line }) => {
+        try {
+          return { row, record: JSON.parse(line) };
+        } catch {
+          return { row, error: 'Malformed JSON line' };
+        }
+      });
+  }
+
+  const records = unwrapEvents(JSON.parse(text));
+  return records.map((record, index) => ({ row: index + 1, record }));
+};
+
+// Parse a File into events. Reports progress (0..1) through onProgress and yields to the
+// browser between chunks so the progress indicator can paint on large files. `zoned`
+// counts the events whose time came from Date/Time columns read in `timeZone`.
+export const parseEventFile = async (file, { onProgress = () => {}, timeZone = LOCAL_TIMEZONE } = {}) => {
+  const text = await file.text();
+  const fileFormat = detectFormat(file.name, text);
+  onProgress(0.1);
+
+  const records = extractRecords(text, fileFormat);
+  const events = [];
+  const rejected = [];
+  let zoned = 0;
+
+  for (let start = 0; start < records.length; start += CHUNK_SIZE) {
+    records.slice(start, start + CHUNK_SIZE).forEach(({ row, record, error }) => {
+      const result = error ? { error } : normalizeEvent(record, timeZone);
+      if (result.error) {
+        rejected.push({ row, reason: result.error });
+      } else {
+        events.push(result.event);
+        if (result.zoned) zoned++;
+      }
+    });
+
+    onProgress(0.1 + 0.9 * Math.min(1, (start + CHUNK_SIZE) / records.length));
+    await yieldToBrowser();
+  }
+
+  onProgress(1);
+
+  return { format: fileFormat, events, rejected, zoned, total: records.length };
+};
@@ -0,0 +1,273 @@
+// Event query language for the query bar, e.g.
+//   status:fail AND user:user_13* AND NOT device:device_A
+// Terms are field:value pairs (values may be "quoted" and use * / ? wildcards) or bare
+// words matched against every field. Terms combine with AND, OR, NOT and parentheses;
+// adjacent terms without an operator are ANDed. Matching is case-insensitive.
+
+export const queryFields = {
+  type: { key: 'activityType', label: 'Activity type' },
+  activityType: { key: 'activityType', label: 'Activity type' },
+  status: { key: 'status', label: 'Status' },
+  user: { key: 'user', label: 'User' },
+  device: { key: 'device', label: 'Device' }
+};
+
+const KEYWORDS = ['AND', 'OR', 'NOT'];
+
+const fieldByName = (name) => {
+  const match = Object.keys(queryFields).find(field => field.toLowerCase() === name.toLowerCase());
+  return match ? queryFields[match] : null;
+};
+
+class QuerySyntaxError extends Error {
+  constructor(message, start, end) {
+    super(message);
+    this.name = 'QuerySyntaxError';
+    this.start = start;
+    this.end = end;
+  }
+}
+
+// Split a query into tokens with source positions. Term tokens carry the field name and
+// value; the highlighter renders tokens by position so it never re-parses.
+export const tokenizeQuery = (text) => {
+  const tokens = [];
+  let i = 0;
+
+  const readQuoted = (from) => {
+    let end = from + 1;
+    let value = '';
+    while (end < text.length && text[end] !== '"') {
+      if (text[end] === '\\' && end + 1 < text.length) end++;
+      value += text[end];
+      end++;
+    }
+    if (end >= text.length) {
+      throw new QuerySyntaxError('Unterminated quoted value', from, text.length);
+    }
+    return { value, end: end + 1 };
+  };
+
+  const readWord = (from) => {
+    let end = from;
+    while (end < text.length && !/[\s()"]/.test(text[end])) end++;
+    return { value: text.slice(from, end), end };
+  };
+
+  while (i < text.length) {
+    const char = text[i];
+
+    if (/\s/.test(char)) {
+      i++;
+    } else if (char === '(' || char === ')') {
+      tokens.push({ type: char === '(' ? 'open' : 'close', start: i, end: i + 1 });
+      i++;
+    } else if (char === '"') {
+      const { value, end } = readQuoted(i);
+      tokens.push({ type: 'term', field: null, value, start: i, end, valueStart: i });
+      i = end;
+    } else {
+      const word = readWord(i);
+      const colon = word.value.indexOf(':');
+
+      if (colon === -1) {
+        const keyword = KEYWORDS.find(k => k === word.value.toUpperCase());
+        tokens.push(keyword
+          ? { type: 'keyword', keyword, start: i, end: word.end }
+          : { type: 'term', field: null, value: word.value, start: i, end: word.end, valueStart: i });
+        i = word.end;
+      } else {
+        const fieldName = word.value.slice(0, colon);
+        const valueStart = i + colon + 1;
+        if (!fieldByName(fieldName)) {
+          throw new QuerySyntaxError(
+            `Unknown field "${fieldName}" (use ${['type', 'status', 'user', 'device'].join(', ')})`,
+            i,
+            i + colon
+          );
+        }
+
+        let value;
+        let end;
+        if (text[valueStart] === '"') {
+          ({ value, end } = readQuoted(valueStart));
+        } else {
+          value = word.value.slice(colon + 1);
+          end = word.end;
+        }
+        if (value === '') {
+          throw new QuerySyntaxError(`Missing value after "${fieldName}:"`, i, end);
+        }
+
+        tokens.push({ type: 'term', field: fieldName, value, start: i, end, valueStart });
+        i = end;
+      }
+    }
+  }
+
+  return tokens;
+};
+
+const escapeRegExp = (text) => text.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+
+const valueMatcher = (value) => {
+  const lower = value.toLowerCase();
+  if (!/[*?]/.test(value)) {
+    return (candidate) => candidate.toLowerCase() === lower;
+  }
+  const pattern = new RegExp(`^${escapeRegExp(lower).replace(/\*/g, '.*').replace(/\?/g, '.')}$`);
+  return (candidate) => pattern.test(candidate.toLowerCase());
+};
+
+// Recursive descent over the tokens:
+//   or    := and (OR and)*
+//   and   := unary ((AND)? unary)*
+//   unary := NOT unary | '(' or ')' | term
+const parseTokens = (tokens, textLength) => {
+  let position = 0;
+  const peek = () => tokens[position];
+  const isKeyword = (token, keyword) => token && token.type === 'keyword' && token.keyword === keyword;
+
+  const expected = (after) => {
+    const token = peek();
+    return token
+      ? new QuerySyntaxError(`Expected a term after ${after}`, token.start, token.end)
+      : new QuerySyntaxError(`Expected a term after ${after}`, textLength, textLength);
+  };
+
+  const parseUnary = (after) => {
+    const token = peek();
+    if (!token) throw expected(after);
+
+    if (isKeyword(token, 'NOT')) {
+      position++;
+      return { type: 'not', operand: parseUnary('NOT') };
+    }
+    if (token.type === 'open') {
+      position++;
+      const expression = parseOr('(');
+      const close = peek();
+      if (!close || close.type !== 'close') {
+        throw new QuerySyntaxError('Missing closing parenthesis', token.start, close ? close.start : textLength);
+      }
+      position++;
+      return expression;
+    }
+    if (token.type === 'term') {
+      position++;
+      const field = token.field ? fieldByName(token.field).key : null;
+      return { type: 'term', field, matches: valueMatcher(token.value), value: token.value };
+    }
+    throw expected(after);
+  };
+
+  const parseAnd = (after) => {
+    let left = parseUnary(after);
+    for (;;) {
+      const token = peek();
+      if (isKeyword(token, 'AND')) {
+        position++;
+        left = { type: 'and', left, right: parseUnary('AND') };
+      } else if (token && (token.type === 'term' || token.type === 'open' || isKeyword(token, 'NOT'))) {
+        left = { type: 'and', left, right: parseUnary(after) };
+      } else {
+        return left;
+      }
+    }
+  };
+
+  const parseOr = (after) => {
+    let left = parseAnd(after);
+    while (isKeyword(peek(), 'OR')) {
+      position++;
+      left = { type: 'or', left, right: parseAnd('OR') };
+    }
+    return left;
+  };
+
+  const tree = parseOr('the start of the query');
+  const rest = peek();
+  if (rest) {
+    throw new QuerySyntaxError(
+      rest.type === 'close' ? 'Unmatched closing parenthesis' : 'Unexpected token',
+      rest.start,
+      rest.end
+    );
+  }
+  return tree;
+};
+
+const searchableFields = ['activityType', 'status', 'user', 'device'];
+
+const evaluate = (node, event) => {
+  switch (node.type) {
+    case 'and':
+      return evaluate(node.left, event) && evaluate(node.right, event);
+    case 'or':
+      return evaluate(node.left, event) || evaluate(node.right, event);
+    case 'not':
+      return !evaluate(node.operand, event);
+    default:
+      // Bare words match any field; without wildcards they match as a substring
+      if (node.field) return node.matches(String(event[node.field]));
+      return searchableFields.some(field => (
+        /[*?]/.test(node.value)
+          ? node.matches(String(event[field]))
+          : String(event[field]).toLowerCase().includes(node.value.toLowerCase())
+      ));
+  }
+};
+
+// Compile query text. Returns { predicate, tokens, error }; an empty query has no
+// predicate and an invalid one carries a QuerySyntaxError with the offending range.
+export const compileQuery = (text) => {
+  if (!text.trim()) {
+    return { predicate: null, tokens: [], error: null };
+  }
+
+  let tokens = [];
+  try {
+    tokens = tokenizeQuery(text);
+    const tree = parseTokens(tokens, text.length);
+    return { predicate: (event) => evaluate(tree, event), tokens, error: null };
+  } catch (error) {
+    if (!(error instanceof QuerySyntaxError)) throw error;
+    return { predicate: null, tokens, error };
+  }
+};
+
+// Autocomplete for the word at the cursor: field names and keywords for a bare word,
+// known values once the word has a "field:" prefix. `values` maps field keys
+// (activityType, status, user, device) to the distinct values in the data.
+export const getQuerySuggestions = (text, cursor, values, limit = 8) => {
+  let from = cursor;
+  while (from > 0 && !/[\s()]/.test(text[from - 1])) from--;
+  const word = text.slice(from, cursor);
+  const colon = word.indexOf(':');
+
+  if (colon === -1) {
+    const prefix = word.toLowerCase();
+    const fields = ['type', 'status', 'user', 'device']
+      .filter(field => field.startsWith(prefix))
+      .map(field => ({ label: `${field}:`, insert: `${field}:`, kind: 'field', detail: queryFields[field].label }));
+    const keywords = prefix
+      ? KEYWORDS.filter(keyword => keyword.toLowerCase().startsWith(prefix))
+          .map(keyword => ({ label: keyword, insert: `${keyword} `, kind: 'keyword' }))
+      : [];
+    return { from, to: cursor, suggestions: [...fields, ...keywords].slice(0, limit) };
+  }
+
+  const field = fieldByName(word.slice(0, colon));
+  if (!field) return { from, to: cursor, suggestions: [] };
+
+  const fieldName = word.slice(0, colon);
+  const prefix = word.slice(colon + 1).replace(/^"/, '').toLowerCase();
+  const suggestions = (values[field.key] || [])
+    .filter(value => value.toLowerCase().startsWith(prefix))
+    .slice(0, limit)
+    .map(value => {
+      const quoted = /[\s()"]/.test(value) ? `"${value.replace(/"/g, '\\"')}"` : value;
+      return { label: value, insert: `${fieldName}:${quoted} `, kind: 'value' };
+    });
+  return { from, to: cursor, suggestions };
+};
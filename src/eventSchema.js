@@ -0,0 +1,154 @@
+import { LOCAL_TIMEZONE, eventDay } from './timezone';
+
+// Event schema and data-quality checks.
+// Events that would break the charts (missing fields, unknown status, unparseable dates)
+// and exact duplicates are quarantined; softer problems are reported but the event is kept.
+
+export const knownStatuses = ['success', 'warning', 'fail'];
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+export const eventSchema = {
+  activityType: { type: 'string', required: true },
+  status: { type: 'string', required: true, oneOf: knownStatuses },
+  user: { type: 'string', required: true },
+  device: { type: 'string', required: true },
+  date: { type: 'string', required: true, pattern: DATE_PATTERN },
+  timestamp: { type: 'string', required: true, isoTimestamp: true }
+};
+
+export const issueTypes = {
+  'missing-field': { label: 'Missing Field', severity: 'error' },
+  'invalid-type': { label: 'Invalid Type', severity: 'error' },
+  'unknown-status': { label: 'Unknown Status', severity: 'error' },
+  'invalid-date': { label: 'Invalid Date', severity: 'error' },
+  'invalid-timestamp': { label: 'Invalid Timestamp', severity: 'error' },
+  duplicate: { label: 'Duplicate Event', severity: 'error' },
+  'date-mismatch': { label: 'Date/Timestamp Mismatch', severity: 'warning' },
+  'future-timestamp': { label: 'Future Timestamp', severity: 'warning' }
+};
+
+const checkField = (event, field, rule) => {
+  const value = event[field];
+
+  if (value === undefined || value === null || value === '') {
+    return rule.required ? { type: 'missing-field', message: `"${field}" is missing` } : null;
+  }
+  if (typeof value !== rule.type) {
+    return { type: 'invalid-type', message: `"${field}" should be a ${rule.type}, got ${typeof value}` };
+  }
+  if (rule.oneOf && !rule.oneOf.includes(value)) {
+    return { type: 'unknown-status', message: `"${value}" is not one of ${rule.oneOf.join(', ')}` };
+  }
+  if (rule.pattern && (!rule.pattern.test(value) || Number.isNaN(Date.parse(value)))) {
+    return { type: 'invalid-date', message: `"${value}" is not a YYYY-MM-DD date` };
+  }
+  if (rule.isoTimestamp && Number.isNaN(Date.parse(value))) {
+    return { type: 'invalid-timestamp', message: `"${value}" is not an ISO timestamp` };
+  }
+  return null;
+};
+
+const eventKey = (event) => [event.activityType, event.status, event.user, event.device, event.timestamp].join('|');
+
+// Live streams and client clocks drift a little, only flag timestamps clearly ahead of now
+const FUTURE_TOLERANCE_MS = 5 * 60 * 1000;
+
+// An event's date may be its UTC day, the day written in its timestamp (which can carry
+// an offset), or the day in the display zone, which CSV Date/Time columns are read in
+const dateMatchesTimestamp = (event, timestamp, timeZone) => (
+  event.date === timestamp.toISOString().slice(0, 10) ||
+  event.date === event.timestamp.slice(0, 10) ||
+  event.date === eventDay(event, timeZone)
+);
+
+const checkEvent = (event, index, seen, now, timeZone) => {
+  if (!event || typeof event !== 'object') {
+    return [{ type: 'invalid-type', message: 'Event is not an object', index }];
+  }
+
+  const eventIssues = Object.entries(eventSchema)
+    .map(([field, rule]) => checkField(event, field, rule))
+    .filter(Boolean)
+    .map(issue => ({ ...issue, index }));
+
+  if (eventIssues.length > 0) {
+    return eventIssues;
+  }
+
+  const key = eventKey(event);
+  if (seen.has(key)) {
+    eventIssues.push({ type: 'duplicate', message: `Duplicate of event #${seen.get(key) + 1}`, index });
+  } else {
+    seen.set(key, index);
+  }
+
+  const timestamp = new Date(event.timestamp);
+  if (!dateMatchesTimestamp(event, timestamp, timeZone)) {
+    eventIssues.push({
+      type: 'date-mismatch',
+      message: `date ${event.date} does not match timestamp ${event.timestamp}`,
+      index
+    });
+  }
+  if (timestamp.getTime() > now + FUTURE_TOLERANCE_MS) {
+    eventIssues.push({ type: 'future-timestamp', message: `${event.timestamp} is in the future`, index });
+  }
+
+  return eventIssues;
+};
+
+// Validate a list of events. Returns the events safe to chart, the quarantined ones,
+// every issue found (with the source index) and per-type counts for the quality panel.
+// The validator remembers its last input: when called again with that list plus new
+// events appended (live streaming) in the same display zone, only the new tail is checked.
+export const createEventValidator = () => {
+  let last = null;
+
+  return (events, { now = Date.now(), timeZone = LOCAL_TIMEZONE } = {}) => {
+    const previous = last && last.timeZone === timeZone && last.events.length > 0 && events.length >= last.events.length &&
+      events[0] === last.events[0] &&
+      events[last.events.length - 1] === last.events[last.events.length - 1]
+      ? last
+      : null;
+
+    const seen = previous ? previous.seen : new Map();
+    const valid = [];
+    const quarantined = [];
+    const issues = [];
+
+    for (let index = previous ? previous.events.length : 0; index < events.length; index++) {
+      const event = events[index];
+      const eventIssues = checkEvent(event, index, seen, now, timeZone);
+      issues.push(...eventIssues);
+
+      if (eventIssues.some(issue => issueTypes[issue.type].severity === 'error')) {
+        quarantined.push({ event, index, issues: eventIssues });
+      } else {
+        valid.push(event);
+      }
+    }
+
+    const counts = previous
+      ? { ...previous.result.counts }
+      : Object.fromEntries(Object.keys(issueTypes).map(type => [type, 0]));
+    issues.forEach(issue => {
+      counts[issue.type]++;
+    });
+
+    const result = previous
+      ? {
+          valid: previous.result.valid.concat(valid),
+          quarantined: previous.result.quarantined.concat(quarantined),
+          issues: previous.result.issues.concat(issues),
+          counts,
+          total: events.length
+        }
+      : { valid, quarantined, issues, counts, total: events.length };
+
+    last = { events, timeZone, seen, result };
+    return result;
+  };
+};
+
+export const validateEvents = (events, options) => createEventValidator()(events, options);
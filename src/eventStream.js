@@ -0,0 +1,106 @@
+// Live event stream client. ws:// and wss:// URLs use a WebSocket, anything else is
+// treated as a Server-Sent Events endpoint. Each message carries one event or an array.
+
+const MAX_RETRY_DELAY = 30000;
+
+export const streamTransport = (url) => (/^wss?:\/\//i.test(url) ? 'websocket' : 'sse');
+
+// Why a stream URL can't be connected to, or null when it can. Relative URLs are
+// Server-Sent Events endpoints on the dashboard's own origin.
+export const streamUrlError = (url) => {
+  let parsed;
+  try {
+    parsed = new URL(url, window.location.href);
+  } catch {
+    return 'Not a valid URL';
+  }
+  return ['ws:', 'wss:', 'http:', 'https:'].includes(parsed.protocol)
+    ? null
+    : 'Use a ws://, wss://, http:// or https:// URL';
+};
+
+const parseMessage = (data) => {
+  const payload = JSON.parse(data);
+  return Array.isArray(payload) ? payload : [payload];
+};
+
+const connectSse = (url, handleMessage, onStatus) => {
+  onStatus('connecting');
+  const source = new EventSource(url);
+
+  source.onopen = () => onStatus('open');
+  // EventSource retries by itself unless the server answered with a fatal error
+  source.onerror = () => onStatus(source.readyState === EventSource.CLOSED ? 'closed' : 'reconnecting');
+  source.onmessage = (message) => handleMessage(message.data);
+
+  return () => source.close();
+};
+
+const connectWebSocket = (url, handleMessage, onStatus) => {
+  let socket = null;
+  let retryTimer = null;
+  let attempts = 0;
+  let closed = false;
+
+  const connect = () => {
+    onStatus(attempts > 0 ? 'reconnecting' : 'connecting');
+    socket = new WebSocket(url);
+
+    socket.onopen = () => {
+      attempts = 0;
+      onStatus('open');
+    };
+    socket.onmessage = (message) => handleMessage(message.data);
+    socket.onclose = () => {
+      if (closed) return;
+      attempts++;
+      onStatus('reconnecting');
+      retryTimer = setTimeout(connect, Math.min(MAX_RETRY_DELAY, 1000 * 2 ** attempts));
+    };
+  };
+
+  connect();
+
+  return () => {
+    closed = true;
+    clearTimeout(retryTimer);
+    if (socket) socket.close();
+  };
+};
+
+// Connect to a stream; returns { transport, close }. Malformed messages are reported
+// through onMalformed and skipped so a single bad frame doesn't drop the connection.
+export const connectEventStream = (url, { onEvents, onStatus = () => {}, onMalformed = () => {} }) => {
+  const transport = streamTransport(url);
+
+  const handleMessage = (data) => {
+    let events;
+    try {
+      events = parseMessage(data);
+    } catch {
+      onMalformed(data);
+      return;
+    }
+    onEvents(events);
+  };
+
+  // WebSocket and EventSource throw on a URL they can't parse; report it as a status
+  // instead of letting it escape into the caller
+  let close;
+  try {
+    close = transport === 'websocket'
+      ? connectWebSocket(url, handleMessage, onStatus)
+      : connectSse(url, handleMessage, onStatus);
+  } catch {
+    onStatus('error');
+    return { transport, close: () => {} };
+  }
+
+  return {
+    transport,
+    close: () => {
+      close();
+      onStatus('closed');
+    }
+  };
+};
@@ -0,0 +1,105 @@
+import { seasonLengths } from './aggregation';
+
+// Short-term forecasts of per-period event totals for the bar graph. Each forecast
+// period gets a projected count and a 95% interval; counts never go below zero.
+//   linear       least-squares trend line, with the regression prediction interval
+//   holtWinters  additive Holt-Winters (level, trend and season), smoothing factors picked
+//                by the lowest one-step-ahead error; without two full seasons of data it
+//                drops the season (Holt's linear method)
+// Like the anomaly detectors, it expects a continuous series (see queryTimeSeries).
+
+export const forecastMethods = [
+  { id: 'off', label: 'Off' },
+  { id: 'linear', label: 'Linear trend' },
+  { id: 'holtWinters', label: 'Holt-Winters' }
+];
+
+export const forecastHorizons = [3, 6, 12, 24];
+
+const Z_95 = 1.96;
+const MIN_POINTS = 3;
+const SMOOTHING_GRID = [0.1, 0.3, 0.5, 0.7, 0.9];
+
+const clampBand = ({ value, spread }) => ({
+  value: Math.max(0, value),
+  lower: Math.max(0, value - Z_95 * spread),
+  upper: Math.max(0, value + Z_95 * spread)
+});
+
+const linearForecast = (values, horizon) => {
+  const n = values.length;
+  const meanX = (n - 1) / 2;
+  const meanY = values.reduce((sum, value) => sum + value, 0) / n;
+  const sxx = values.reduce((sum, _, x) => sum + (x - meanX) ** 2, 0);
+  const slope = values.reduce((sum, value, x) => sum + (x - meanX) * (value - meanY), 0) / sxx;
+  const intercept = meanY - slope * meanX;
+  const residualError = Math.sqrt(
+    values.reduce((sum, value, x) => sum + (value - (intercept + slope * x)) ** 2, 0) / Math.max(n - 2, 1)
+  );
+
+  return Array.from({ length: horizon }, (_, i) => {
+    const x = n + i;
+    return clampBand({
+      value: intercept + slope * x,
+      spread: residualError * Math.sqrt(1 + 1 / n + (x - meanX) ** 2 / sxx)
+    });
+  });
+};
+
+// One pass of additive Holt-Winters; season 0 runs without a seasonal component.
+// Returns the final state and the one-step-ahead squared error.
+const holtWintersFit = (values, season, alpha, beta, gamma) => {
+  const initial = season ? values.slice(0, season) : values.slice(0, 2);
+  let level = season ? initial.reduce((sum, value) => sum + value, 0) / season : values[0];
+  let trend = season
+    ? (values.slice(season, 2 * season).reduce((sum, value) => sum + value, 0) / season - level) / season
+    : values[1] - values[0];
+  const seasonal = season ? initial.map(value => value - level) : [];
+  let squaredError = 0;
+
+  values.forEach((value, i) => {
+    const offset = season ? seasonal[i % season] : 0;
+    const error = value - (level + trend + offset);
+    squaredError += error * error;
+
+    const previousLevel = level;
+    level = alpha * (value - offset) + (1 - alpha) * (level + trend);
+    trend = beta * (level - previousLevel) + (1 - beta) * trend;
+    if (season) seasonal[i % season] = gamma * (value - level) + (1 - gamma) * offset;
+  });
+
+  return { level, trend, seasonal, squaredError };
+};
+
+const holtWintersForecast = (values, horizon, granularity) => {
+  const season = values.length >= 2 * (seasonLengths[granularity] || Infinity) ? seasonLengths[granularity] : 0;
+  const gammas = season ? SMOOTHING_GRID : [0];
+
+  let best = null;
+  SMOOTHING_GRID.forEach(alpha => SMOOTHING_GRID.forEach(beta => gammas.forEach(gamma => {
+    const fit = holtWintersFit(values, season, alpha, beta, gamma);
+    if (!best || fit.squaredError < best.squaredError) best = { ...fit, alpha };
+  })));
+
+  // h-step error as for simple exponential smoothing: sqrt(1 + (h - 1) * alpha^2) one-step errors
+  const stepError = Math.sqrt(best.squaredError / values.length);
+  return Array.from({ length: horizon }, (_, i) => clampBand({
+    value: best.level + (i + 1) * best.trend + (season ? best.seasonal[(values.length + i) % season] : 0),
+    spread: stepError * Math.sqrt(1 + i * best.alpha * best.alpha)
+  }));
+};
+
+// Forecast the `horizon` periods after the series. Returns [] when the method is off or
+// there are fewer than MIN_POINTS periods to learn from. The series runs from the first
+// to the last event, so its first and last periods are usually partial and would drag
+// the projection down: the fit leaves them out and projects one period further.
+export const forecastSeries = (values, { method, horizon, granularity }) => {
+  if (method === 'off' || values.length < MIN_POINTS) return [];
+  const trim = values.length >= MIN_POINTS + 2;
+  const fitted = trim ? values.slice(1, -1) : values;
+  const steps = trim ? horizon + 1 : horizon;
+  const projection = method === 'holtWinters'
+    ? holtWintersForecast(fitted, steps, granularity)
+    : linearForecast(fitted, steps);
+  return trim ? projection.slice(1) : projection;
+};
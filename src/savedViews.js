@@ -0,0 +1,118 @@
+import { defaultViewState, parseUrlState, serializeUrlState } from './urlState';
+
+// Saved views: named presets of filters, date range, granularity, view mode and chart
+// options, kept in localStorage and exchangeable as JSON files.
+
+const STORAGE_KEY = 'activity-dashboard:saved-views';
+const FILE_VERSION = 1;
+
+export const defaultChartOptions = {
+  showGradient: true,
+  showAccessibilityPatterns: false,
+  showTrends: true,
+  showDifference: false,
+  showAnomalies: true
+};
+
+const stringList = (value) => (Array.isArray(value) ? value.filter(item => typeof item === 'string') : []);
+
+// Coerce a stored or imported view state onto the known fields. Enumerations go through
+// the URL state parser so saved views accept exactly what a shared link accepts.
+export const sanitizeViewState = (state) => {
+  const source = state && typeof state === 'object' ? state : {};
+  const dateRange = (value) => {
+    const range = value && typeof value === 'object' ? value : {};
+    return { start: String(range.start || ''), end: String(range.end || '') };
+  };
+
+  const query = serializeUrlState({
+    ...defaultViewState,
+    viewMode: String(source.viewMode),
+    granularity: String(source.granularity),
+    timeRange: String(source.timeRange),
+    customDateRange: dateRange(source.customDateRange),
+    selectedActivityTypes: stringList(source.selectedActivityTypes),
+    selectedStatuses: stringList(source.selectedStatuses),
+    selectedUsers: stringList(source.selectedUsers),
+    selectedDevices: stringList(source.selectedDevices),
+    selectedStatCard: typeof source.selectedStatCard === 'string' ? source.selectedStatCard : null,
+    query: typeof source.query === 'string' ? source.query.trim() : '',
+    compareMode: String(source.compareMode),
+    compareDateRange: dateRange(source.compareDateRange)
+  });
+  // Saved views don't switch tabs
+  const { activeTab, ...viewState } = parseUrlState(query, { tabs: [defaultViewState.activeTab] });
+
+  return {
+    ...viewState,
+    ...Object.fromEntries(Object.entries(defaultChartOptions).map(([option, fallback]) => (
+      [option, typeof source[option] === 'boolean' ? source[option] : fallback]
+    )))
+  };
+};
+
+export const createViewId = () => `view_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 8)}`;
+
+const sanitizeView = (view) => {
+  if (!view || typeof view !== 'object' || typeof view.name !== 'string' || !view.name.trim()) {
+    return null;
+  }
+  return {
+    id: typeof view.id === 'string' && view.id ? view.id : createViewId(),
+    name: view.name.trim(),
+    savedAt: typeof view.savedAt === 'string' ? view.savedAt : new Date().toISOString(),
+    state: sanitizeViewState(view.state)
+  };
+};
+
+export const createSavedView = (name, state) => ({
+  id: createViewId(),
+  name: name.trim(),
+  savedAt: new Date().toISOString(),
+  state: sanitizeViewState(state)
+});
+
+export const loadSavedViews = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
+    return Array.isArray(stored) ? stored.map(sanitizeView).filter(Boolean) : [];
+  } catch {
+    return [];
+  }
+};
+
+export const storeSavedViews = (views) => {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(views));
+  } catch {
+    // Storage may be unavailable or full, the views just won't persist
+  }
+};
+
+export const serializeSavedViews = (views) => JSON.stringify({ version: FILE_VERSION, views }, null, 2);
+
+// Parse an exported views file. Accepts the export envelope or a bare array; throws on
+// anything that isn't JSON or contains no usable views.
+export const parseSavedViews = (text) => {
+  const payload = JSON.parse(text);
+  const views = Array.isArray(payload) ? payload : payload && payload.views;
+  if (!Array.isArray(views)) {
+    throw new Error('Expected a saved views export with a "views" array');
+  }
+
+  const parsed = views.map(sanitizeView).filter(Boolean);
+  if (parsed.length === 0) {
+    throw new Error('The file contains no saved views');
+  }
+  return parsed;
+};
+
+// Merge imported views into the existing list; same-name views are replaced. Imported
+// views get fresh ids so files exported from another browser can't collide.
+export const mergeSavedViews = (current, imported) => {
+  const importedNames = new Set(imported.map(view => view.name.toLowerCase()));
+  return [
+    ...current.filter(view => !importedNames.has(view.name.toLowerCase())),
+    ...imported.map(view => ({ ...view, id: createViewId() }))
+  ];
+};
@@ -0,0 +1,103 @@
+import { format, parseISO, startOfWeek } from 'date-fns';
+import { tz, TZDate } from '@date-fns/tz';
+
+// Display timezone handling. Events carry UTC timestamps; every bucket, label and export
+// is computed in the selected display zone so everyone sees the same "yesterday".
+
+export const LOCAL_TIMEZONE = 'local';
+
+const STORAGE_KEY = 'activity-dashboard:timezone';
+
+export const browserTimeZone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+export const commonTimeZones = [
+  'UTC',
+  LOCAL_TIMEZONE,
+  'America/Los_Angeles',
+  'America/New_York',
+  'Europe/London',
+  'Europe/Berlin',
+  'Asia/Kolkata',
+  'Asia/Singapore',
+  'Asia/Tokyo',
+  'Australia/Sydney'
+];
+
+export const allTimeZones = typeof Intl.supportedValuesOf === 'function'
+  ? Intl.supportedValuesOf('timeZone')
+  : commonTimeZones.filter(zone => zone !== LOCAL_TIMEZONE);
+
+export const isValidTimeZone = (timeZone) => {
+  if (timeZone === LOCAL_TIMEZONE || timeZone === 'UTC') return true;
+  try {
+    Intl.DateTimeFormat(undefined, { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+export const timeZoneLabel = (timeZone) => (
+  timeZone === LOCAL_TIMEZONE ? `Browser local (${browserTimeZone})` : timeZone
+);
+
+export const loadTimeZone = () => {
+  try {
+    const stored = localStorage.getItem(STORAGE_KEY);
+    return stored && isValidTimeZone(stored) ? stored : LOCAL_TIMEZONE;
+  } catch {
+    return LOCAL_TIMEZONE;
+  }
+};
+
+export const saveTimeZone = (timeZone) => {
+  try {
+    localStorage.setItem(STORAGE_KEY, timeZone);
+  } catch {
+    // Storage may be unavailable, the selection just won't persist
+  }
+};
+
+// date-fns context option for a zone; undefined keeps the browser's local zone
+export const zoneOptions = (timeZone) => (timeZone === LOCAL_TIMEZONE ? {} : { in: tz(timeZone) });
+
+export const formatInZone = (date, pattern, timeZone) => format(date, pattern, zoneOptions(timeZone));
+
+// UTC ISO timestamp of a wall-clock day ('yyyy-MM-dd') and time ('HH:mm' or 'HH:mm:ss')
+// in a zone, or null when they don't parse
+export const zonedTimestamp = (day, time, timeZone) => {
+  const dayParts = /^(\d{4})-(\d{2})-(\d{2})$/.exec(day);
+  const timeParts = /^(\d{1,2}):(\d{2})(?::(\d{2}))?$/.exec(time);
+  if (!dayParts || !timeParts) return null;
+
+  const [year, month, date, hours, minutes, seconds] = [...dayParts.slice(1), ...timeParts.slice(1)].map(part => Number(part || 0));
+  const wallClock = timeZone === LOCAL_TIMEZONE
+    ? new Date(year, month - 1, date, hours, minutes, seconds)
+    : new TZDate(year, month - 1, date, hours, minutes, seconds, timeZone);
+  return Number.isNaN(wallClock.getTime()) ? null : new Date(wallClock.getTime()).toISOString();
+};
+
+export const todayInZone = (timeZone) => formatInZone(new Date(), 'yyyy-MM-dd', timeZone);
+
+// Wall-clock day (yyyy-MM-dd) of an event in the display zone
+export const eventDay = (event, timeZone) => formatInZone(parseISO(event.timestamp), 'yyyy-MM-dd', timeZone);
+
+export const eventHour = (event, timeZone) => Number(formatInZone(parseISO(event.timestamp), 'H', timeZone));
+
+// Bucket key of an event for a granularity, as a wall-clock string in the display zone.
+// Keys sort chronologically and parse back with parseISO for labelling.
+export const eventPeriodKey = (event, granularity, timeZone) => {
+  const timestamp = parseISO(event.timestamp);
+  switch (granularity) {
+    case 'hourly':
+      return formatInZone(timestamp, 'yyyy-MM-dd HH', timeZone);
+    case 'daily':
+      return formatInZone(timestamp, 'yyyy-MM-dd', timeZone);
+    case 'monthly':
+      return formatInZone(timestamp, 'yyyy-MM', timeZone);
+    case 'yearly':
+      return formatInZone(timestamp, 'yyyy', timeZone);
+    default:
+      return formatInZone(startOfWeek(timestamp, zoneOptions(timeZone)), 'yyyy-MM-dd', timeZone);
+  }
+};
@@ -0,0 +1,99 @@
+import { isValid, parseISO } from 'date-fns';
+import { knownStatuses } from './eventSchema';
+
+// Dashboard view state <-> URL query string, so a pasted link reproduces the exact view.
+// Only values that differ from the defaults are written. Unknown or invalid values in a
+// link fall back to the defaults instead of breaking the page.
+
+export const defaultViewState = {
+  activeTab: 'Overview',
+  viewMode: 'heatmap',
+  granularity: 'weekly',
+  timeRange: 'all',
+  customDateRange: { start: '2025-01-01', end: '2026-08-03' },
+  selectedActivityTypes: [],
+  selectedStatuses: [],
+  selectedUsers: [],
+  selectedDevices: [],
+  selectedStatCard: null,
+  query: '',
+  compareMode: 'off',
+  compareDateRange: { start: '2024-01-01', end: '2024-12-31' }
+};
+
+const viewModes = ['heatmap', 'bargraph', 'line', 'punchcard', 'calendar'];
+const granularities = ['hourly', 'daily', 'weekly', 'monthly', 'yearly'];
+const timeRanges = ['last24hours', 'last7days', 'last30days', 'last90days', 'lastYear', 'all', 'custom'];
+const statCards = ['total', 'success', 'failed', 'warning'];
+const compareModes = ['off', 'previous', 'lastYear', 'custom'];
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const oneOf = (value, allowed, fallback) => (allowed.includes(value) ? value : fallback);
+
+// A calendar day that exists, so e.g. 2025-13-01 or 2025-02-30 are rejected
+const isDay = (value) => DATE_PATTERN.test(value || '') && isValid(parseISO(value));
+
+const isDateRange = (start, end) => isDay(start) && isDay(end) && start <= end;
+
+// Parse a query string into a complete view state; `tabs` lists the valid tab names
+export const parseUrlState = (search, { tabs }) => {
+  const params = new URLSearchParams(search);
+  const defaults = defaultViewState;
+
+  const timeRange = oneOf(params.get('range'), timeRanges, defaults.timeRange);
+  const start = params.get('from');
+  const end = params.get('to');
+  const hasCustomRange = isDateRange(start, end);
+  const compareMode = oneOf(params.get('compare'), compareModes, defaults.compareMode);
+  const compareStart = params.get('compare_from');
+  const compareEnd = params.get('compare_to');
+  const hasCompareRange = isDateRange(compareStart, compareEnd);
+
+  return {
+    activeTab: oneOf(params.get('tab'), tabs, defaults.activeTab),
+    viewMode: oneOf(params.get('view'), viewModes, defaults.viewMode),
+    granularity: oneOf(params.get('granularity'), granularities, defaults.granularity),
+    // A custom range without valid dates would show nothing, fall back to all time
+    timeRange: timeRange === 'custom' && !hasCustomRange ? defaults.timeRange : timeRange,
+    customDateRange: timeRange === 'custom' && hasCustomRange ? { start, end } : defaults.customDateRange,
+    selectedActivityTypes: params.getAll('type').filter(Boolean),
+    selectedStatuses: params.getAll('status').filter(status => knownStatuses.includes(status)),
+    selectedUsers: params.getAll('user').filter(Boolean),
+    selectedDevices: params.getAll('device').filter(Boolean),
+    selectedStatCard: oneOf(params.get('card'), statCards, defaults.selectedStatCard),
+    query: params.get('q') || defaults.query,
+    compareMode: compareMode === 'custom' && !hasCompareRange ? defaults.compareMode : compareMode,
+    compareDateRange: compareMode === 'custom' && hasCompareRange
+      ? { start: compareStart, end: compareEnd }
+      : defaults.compareDateRange
+  };
+};
+
+// Query string (without "?") for a view state
+export const serializeUrlState = (state) => {
+  const params = new URLSearchParams();
+  const defaults = defaultViewState;
+
+  if (state.activeTab !== defaults.activeTab) params.set('tab', state.activeTab);
+  if (state.viewMode !== defaults.viewMode) params.set('view', state.viewMode);
+  if (state.granularity !== defaults.granularity) params.set('granularity', state.granularity);
+  if (state.timeRange !== defaults.timeRange) params.set('range', state.timeRange);
+  if (state.timeRange === 'custom') {
+    params.set('from', state.customDateRange.start);
+    params.set('to', state.customDateRange.end);
+  }
+  state.selectedActivityTypes.forEach(type => params.append('type', type));
+  state.selectedStatuses.forEach(status => params.append('status', status));
+  state.selectedUsers.forEach(user => params.append('user', user));
+  state.selectedDevices.forEach(device => params.append('device', device));
+  if (state.selectedStatCard) params.set('card', state.selectedStatCard);
+  if (state.query) params.set('q', state.query);
+  if (state.compareMode !== defaults.compareMode) params.set('compare', state.compareMode);
+  if (state.compareMode === 'custom') {
+    params.set('compare_from', state.compareDateRange.start);
+    params.set('compare_to', state.compareDateRange.end);
+  }
+
+  return params.toString();
+};